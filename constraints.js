@@ -0,0 +1,138 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Constraints on resource values. They're set in the lwm2m descriptor:
+ *
+ *   { path: '/3311/0/5851', operation: [ 'GET', 'PUT' ], type: 'int', value: 0, min: 0, max: 100 }
+ *
+ *   min, max    numbers, lowest and highest allowed value
+ *   integer     true to only allow whole numbers
+ *   enum        array of allowed values
+ *   maxLength   maximum length of a string (in characters) or opaque value (in bytes)
+ *   pattern     RegExp (or string with a regular expression) that string values should match
+ *
+ * Numeric resources ('int' and 'float') never accept NaN or Infinity.
+ */
+
+const { ValidationError } = require('./errors');
+
+function isNumericType(type) {
+    return [ 'int', 'float' ].indexOf(String(type).toLowerCase()) > -1;
+}
+
+function fail(l, constraint, value, message) {
+    let err = new ValidationError(`Invalid value ${formatValue(value)} for ${l.path}: ${message}`);
+    err.path = l.path;
+    err.constraint = constraint;
+    err.value = value;
+    throw err;
+}
+
+function formatValue(value) {
+    if (Buffer.isBuffer(value)) return '<' + value.length + ' bytes>';
+    if (typeof value === 'string' && value.length > 40) return JSON.stringify(value.substr(0, 40) + '...');
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Check a value against the type and constraints of a resource
+ * @param {object} l lwm2m descriptor
+ * @param value The value
+ * @throws ValidationError with `path`, `constraint` and `value`
+ */
+function validate(l, value) {
+    let type = l.type || (l.rpcType && l.rpcType.toLowerCase());
+
+    if (isNumericType(type) || typeof l.min === 'number' || typeof l.max === 'number' || l.integer) {
+        let n = typeof value === 'number' ? value : Number(value);
+
+        if (typeof value === 'boolean' || value === null || value === '' || !isFinite(n)) {
+            fail(l, 'type', value, 'should be a number');
+        }
+        if (l.integer && n % 1 !== 0) {
+            fail(l, 'integer', value, 'should be a whole number');
+        }
+        if (typeof l.min === 'number' && n < l.min) {
+            fail(l, 'min', value, `should be at least ${l.min}`);
+        }
+        if (typeof l.max === 'number' && n > l.max) {
+            fail(l, 'max', value, `should be at most ${l.max}`);
+        }
+    }
+
+    if (Array.isArray(l.enum) && !l.enum.some(e => e === value || (value instanceof Date && +e === +value))) {
+        fail(l, 'enum', value, 'should be one of ' + l.enum.map(formatValue).join(', '));
+    }
+
+    if (typeof l.maxLength === 'number') {
+        let length = Buffer.isBuffer(value) ? value.length : String(value).length;
+        if (length > l.maxLength) {
+            fail(l, 'maxLength', value, `should be at most ${l.maxLength} ${Buffer.isBuffer(value) ? 'bytes' : 'characters'} long`);
+        }
+    }
+
+    if (l.pattern) {
+        let pattern = l.pattern instanceof RegExp ? l.pattern : new RegExp(l.pattern);
+        if (!pattern.test(String(value))) {
+            fail(l, 'pattern', value, `should match ${pattern}`);
+        }
+    }
+}
+
+/**
+ * Check that the constraints in a descriptor are well formed
+ * @returns Array of { constraint, message }, empty when valid
+ */
+function check(l) {
+    let errors = [];
+    let error = (constraint, message) => errors.push({ constraint: constraint, message: message });
+
+    for (let key of [ 'min', 'max', 'maxLength' ]) {
+        if (typeof l[key] !== 'undefined' && (typeof l[key] !== 'number' || !isFinite(l[key]))) {
+            error(key, 'should be a number');
+        }
+    }
+    if (typeof l.min === 'number' && typeof l.max === 'number' && l.min > l.max) {
+        error('min', 'should not be above max');
+    }
+    if (typeof l.integer !== 'undefined' && typeof l.integer !== 'boolean') {
+        error('integer', 'should be a boolean');
+    }
+    if (typeof l.enum !== 'undefined' && (!Array.isArray(l.enum) || l.enum.length === 0)) {
+        error('enum', 'should be a non-empty array');
+    }
+    if (typeof l.pattern !== 'undefined' && !(l.pattern instanceof RegExp)) {
+        try {
+            new RegExp(l.pattern);
+        }
+        catch (ex) {
+            error('pattern', ex.message);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate: validate,
+    check: check
+};
@@ -0,0 +1,278 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Declarative device definitions (see RemoteClientService.loadDefinitions). A definition
+ * file holds templates, keyed by client type, and the devices to create from them:
+ *
+ *   templates:
+ *     thermometer:
+ *       supportsUpdate: true              # optional, default false
+ *       vendorId: <GUID>                  # required when supportsUpdate is set
+ *       classId: <GUID>                   # required when supportsUpdate is set
+ *       updateCertificate: ./update.der   # required when supportsUpdate is set, relative to the file
+ *       resources:
+ *         - path: /3303/0/5700
+ *           type: float                   # optional, inferred from value
+ *           operation: [ GET ]
+ *           value: 21.5                   # required, except for POST resources
+ *           observable: true              # optional, default true
+ *           min: -40                      # optional constraints, see constraints.js
+ *           max: 125
+ *   devices:
+ *     - id: thermometer-1
+ *       clientType: thermometer
+ *       values:                           # optional, overrides the template values
+ *         /3303/0/5700: 19.5
+ */
+
+const fs = require('fs');
+const Path = require('path');
+const promisify = require('es6-promisify');
+const yaml = require('js-yaml');
+const MbedDevice = require('./device');
+const Constraints = require('./constraints');
+const { ValidationError } = require('./errors');
+
+const readFile = promisify(fs.readFile.bind(fs));
+
+const RESOURCE_TYPES = Object.keys(MbedDevice.RESOURCE_TYPES);
+const OPERATIONS = [ 'GET', 'PUT', 'POST' ];
+const PATH_REGEX = /^\/?\d+\/\d+\/\d+$/;
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function normalizePath(path) {
+    return '/' + String(path).replace(/^\//, '');
+}
+
+/**
+ * Check definitions against the schema
+ * @returns Array of error messages, empty when the definitions are valid
+ */
+function validate(defs) {
+    let errors = [];
+    let error = (at, message) => errors.push(at + ': ' + message);
+
+    if (!isObject(defs)) {
+        error('definitions', 'should be an object');
+        return errors;
+    }
+
+    if (!isObject(defs.templates)) {
+        error('templates', 'should be an object with client types as keys');
+    }
+    else {
+        for (let clientType of Object.keys(defs.templates)) {
+            validateTemplate(defs.templates[clientType], 'templates.' + clientType, error);
+        }
+    }
+
+    if (typeof defs.devices !== 'undefined' && !Array.isArray(defs.devices)) {
+        error('devices', 'should be an array');
+    }
+    else {
+        let ids = {};
+
+        (defs.devices || []).forEach((d, ix) => {
+            let at = 'devices[' + ix + ']';
+
+            if (!isObject(d)) return error(at, 'should be an object');
+
+            if (typeof d.id !== 'string' || !d.id) {
+                error(at + '.id', 'is required');
+            }
+            else if (ids[d.id]) {
+                error(at + '.id', `duplicate device '${d.id}'`);
+            }
+            ids[d.id] = true;
+
+            let template = isObject(defs.templates) && defs.templates[d.clientType];
+            if (typeof d.clientType !== 'string') {
+                error(at + '.clientType', 'is required');
+            }
+            else if (!isObject(template)) {
+                error(at + '.clientType', `unknown template '${d.clientType}'`);
+            }
+
+            if (typeof d.values === 'undefined') return;
+
+            if (!isObject(d.values)) return error(at + '.values', 'should be an object with paths as keys');
+
+            if (!isObject(template) || !Array.isArray(template.resources)) return;
+
+            let paths = template.resources.map(r => r && normalizePath(r.path));
+            for (let path of Object.keys(d.values)) {
+                if (paths.indexOf(normalizePath(path)) === -1) {
+                    error(at + '.values', `resource '${path}' is not in template '${d.clientType}'`);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+function validateTemplate(t, at, error) {
+    if (!isObject(t)) return error(at, 'should be an object');
+
+    if (typeof t.supportsUpdate !== 'undefined' && typeof t.supportsUpdate !== 'boolean') {
+        error(at + '.supportsUpdate', 'should be a boolean');
+    }
+
+    if (t.supportsUpdate) {
+        for (let key of [ 'vendorId', 'classId', 'updateCertificate' ]) {
+            if (typeof t[key] !== 'string' || !t[key]) {
+                error(at + '.' + key, 'is required when supportsUpdate is set');
+            }
+        }
+    }
+
+    if (!Array.isArray(t.resources) || t.resources.length === 0) {
+        return error(at + '.resources', 'should be a non-empty array');
+    }
+
+    let paths = {};
+
+    t.resources.forEach((r, ix) => {
+        let rat = at + '.resources[' + ix + ']';
+
+        if (!isObject(r)) return error(rat, 'should be an object');
+
+        if (typeof r.path !== 'string' || !PATH_REGEX.test(r.path)) {
+            error(rat + '.path', 'should be of format "/3200/0/5501"');
+        }
+        else if (paths[normalizePath(r.path)]) {
+            error(rat + '.path', `duplicate resource '${r.path}'`);
+        }
+        else {
+            paths[normalizePath(r.path)] = true;
+        }
+
+        if (!Array.isArray(r.operation) || r.operation.length === 0 ||
+                r.operation.some(o => OPERATIONS.indexOf(o) === -1)) {
+            error(rat + '.operation', 'should be a non-empty array of ' + OPERATIONS.join(', '));
+        }
+
+        if (typeof r.type !== 'undefined' && RESOURCE_TYPES.indexOf(String(r.type).toLowerCase()) === -1) {
+            error(rat + '.type', `unknown type '${r.type}', should be one of ${RESOURCE_TYPES.join(', ')}`);
+        }
+
+        let isPost = Array.isArray(r.operation) && r.operation.indexOf('POST') > -1;
+        if (!isPost && (typeof r.value === 'undefined' || r.value === null)) {
+            error(rat + '.value', 'is required');
+        }
+
+        if (typeof r.observable !== 'undefined' && typeof r.observable !== 'boolean') {
+            error(rat + '.observable', 'should be a boolean');
+        }
+
+        for (let e of Constraints.check(r)) {
+            error(rat + '.' + e.constraint, e.message);
+        }
+    });
+}
+
+/**
+ * Values from JSON / YAML to what the resource type expects
+ */
+function toValue(type, value) {
+    if (String(type).toLowerCase() === 'time' && !(value instanceof Date)) {
+        return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    }
+
+    return value;
+}
+
+/**
+ * Read, parse and validate definitions
+ * @param pathOrObject Path to a .json, .yaml or .yml file, or the definitions as object
+ * @returns Promise that holds [ { id, clientType, lwm2m, supportsUpdate, vendorId, classId, updateCertificate } ]
+ *          with everything needed to register the devices
+ */
+async function load(pathOrObject) {
+    let defs = pathOrObject;
+    let baseDir = process.cwd();
+
+    if (typeof pathOrObject === 'string') {
+        let content = await readFile(pathOrObject, 'utf-8');
+
+        try {
+            defs = /\.ya?ml$/i.test(pathOrObject) ? yaml.safeLoad(content) : JSON.parse(content);
+        }
+        catch (ex) {
+            throw new ValidationError(`Cannot parse device definitions in ${pathOrObject}: ${ex.message}`, ex);
+        }
+
+        baseDir = Path.dirname(Path.resolve(pathOrObject));
+    }
+
+    let errors = validate(defs);
+    if (errors.length > 0) {
+        let err = new ValidationError('Invalid device definitions:\n  ' + errors.join('\n  '));
+        err.errors = errors;
+        throw err;
+    }
+
+    let certificates = {};
+
+    return Promise.all((defs.devices || []).map(async d => {
+        let t = defs.templates[d.clientType];
+        let values = {};
+        for (let path of Object.keys(d.values || {})) {
+            values[normalizePath(path)] = d.values[path];
+        }
+
+        let lwm2m = t.resources.map(r => {
+            let l = Object.assign({}, r, { path: normalizePath(r.path) });
+
+            if (typeof values[l.path] !== 'undefined') l.value = values[l.path];
+            if (typeof l.value !== 'undefined') l.value = toValue(l.type, l.value);
+
+            return l;
+        });
+
+        let certificate;
+        if (t.supportsUpdate) {
+            let certPath = Path.resolve(baseDir, t.updateCertificate);
+            certificates[certPath] = certificates[certPath] || readFile(certPath).catch(ex => {
+                throw new ValidationError(`Cannot read update certificate for '${d.clientType}': ${ex.message}`, ex);
+            });
+            certificate = await certificates[certPath];
+        }
+
+        return {
+            id: d.id,
+            clientType: d.clientType,
+            lwm2m: lwm2m,
+            supportsUpdate: !!t.supportsUpdate,
+            vendorId: t.vendorId,
+            classId: t.classId,
+            updateCertificate: certificate
+        };
+    }));
+}
+
+module.exports = {
+    load: load,
+    validate: validate
+};
@@ -0,0 +1,155 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Minimal DER (ASN.1) decoder, enough to read update manifests.
+ *
+ * decode() returns a tree of elements:
+ *   {
+ *     tag: 0x30,           // identifier octet, f.e. 0x02 INTEGER, 0x04 OCTET STRING, 0x30 SEQUENCE
+ *     constructed: true,
+ *     raw: Buffer,         // the whole element, including tag and length
+ *     contents: Buffer,    // only the contents
+ *     children: [ ... ]    // for constructed elements
+ *   }
+ */
+
+const TAGS = {
+    BOOLEAN: 0x01,
+    INTEGER: 0x02,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OBJECT_IDENTIFIER: 0x06,
+    ENUMERATED: 0x0a,
+    UTF8_STRING: 0x0c,
+    SEQUENCE: 0x30
+};
+
+function DerError(message) {
+    return new Error('Invalid DER: ' + message);
+}
+
+function readElement(buffer, offset) {
+    if (offset + 2 > buffer.length) throw DerError('unexpected end of data');
+
+    let tag = buffer[offset];
+    if ((tag & 0x1f) === 0x1f) throw DerError('multi-byte tags are not supported');
+
+    let length = buffer[offset + 1];
+    let header = 2;
+
+    if (length & 0x80) {
+        let bytes = length & 0x7f;
+        if (bytes === 0) throw DerError('indefinite length is not allowed');
+        if (bytes > 4) throw DerError('length too large');
+        if (offset + 2 + bytes > buffer.length) throw DerError('unexpected end of data');
+
+        length = 0;
+        for (let ix = 0; ix < bytes; ix++) {
+            length = length * 256 + buffer[offset + 2 + ix];
+        }
+        header += bytes;
+    }
+
+    let end = offset + header + length;
+    if (end > buffer.length) throw DerError('length exceeds data');
+
+    let el = {
+        tag: tag,
+        constructed: !!(tag & 0x20),
+        raw: buffer.slice(offset, end),
+        contents: buffer.slice(offset + header, end)
+    };
+
+    if (el.constructed) {
+        el.children = [];
+        let pos = 0;
+        while (pos < el.contents.length) {
+            let child = readElement(el.contents, pos);
+            el.children.push(child);
+            pos += child.raw.length;
+        }
+    }
+
+    return el;
+}
+
+/**
+ * Decode a DER buffer that holds exactly one element
+ */
+function decode(buffer) {
+    let el = readElement(buffer, 0);
+    if (el.raw.length !== buffer.length) throw DerError('trailing data');
+
+    return el;
+}
+
+/**
+ * Value of an INTEGER or ENUMERATED element as Number
+ */
+function toInteger(el) {
+    let c = el.contents;
+    if (c.length === 0) throw DerError('empty integer');
+
+    let n = c[0] & 0x80 ? -1 : 0;
+    for (let b of c) {
+        n = n * 256 + b;
+    }
+    // the loop above computes (-1 * 256^len + value) for negative numbers
+    if (!Number.isSafeInteger(n)) throw DerError('integer too large');
+
+    return n;
+}
+
+function toBoolean(el) {
+    return el.contents.length > 0 && el.contents[0] !== 0;
+}
+
+function toUtf8(el) {
+    return el.contents.toString('utf-8');
+}
+
+/**
+ * Dotted string of an OBJECT IDENTIFIER element
+ */
+function toOid(el) {
+    let c = el.contents;
+    let parts = [ Math.floor(c[0] / 40), c[0] % 40 ];
+
+    let v = 0;
+    for (let ix = 1; ix < c.length; ix++) {
+        v = v * 128 + (c[ix] & 0x7f);
+        if (!(c[ix] & 0x80)) {
+            parts.push(v);
+            v = 0;
+        }
+    }
+
+    return parts.join('.');
+}
+
+module.exports = {
+    TAGS: TAGS,
+    decode: decode,
+    toInteger: toInteger,
+    toBoolean: toBoolean,
+    toUtf8: toUtf8,
+    toOid: toOid
+};
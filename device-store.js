@@ -0,0 +1,209 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Persistence for registered devices, so they can be restored after a restart
+ * (see RemoteClientService.restoreDevices).
+ *
+ * A store is any object with these async functions:
+ *   - load() returns an array of device records
+ *   - save(id, record) adds or replaces the record of a device
+ *   - remove(id) removes the record of a device
+ *   - get(id) returns the record of a device (optional, load() is used when it's missing)
+ *
+ * A device record looks like:
+ *   {
+ *     id: 'dev1',
+ *     clientType: 'sensor',
+ *     lwm2m: [ { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', observable: true, value: 21.5 } ],
+ *     supportsUpdate: false,
+ *     vendorId, classId, updateCertificate (base64),
+ *     fwName, fwVersion, fwTimestamp
+ *   }
+ *
+ * fwName, fwVersion and fwTimestamp describe the installed firmware: the payload hash, the
+ * version and the timestamp of the manifest it was installed from.
+ *
+ * Values in the record are JSON friendly: 'time' values are ISO 8601 strings and
+ * 'opaque' values are base64 strings.
+ */
+
+const fs = require('fs');
+const Path = require('path');
+const promisify = require('es6-promisify');
+
+const readFile = promisify(fs.readFile.bind(fs));
+const writeFile = promisify(fs.writeFile.bind(fs));
+const rename = promisify(fs.rename.bind(fs));
+
+/**
+ * Store that keeps all devices in one JSON file. The file is replaced atomically,
+ * and saves that happen while a write is in progress are combined into one write.
+ * @param {string} path Path to the JSON file, created on the first save
+ */
+function JsonFileStore(path) {
+    this.path = path;
+
+    this._records = null;
+    this._writing = Promise.resolve();
+    this._queued = null;
+}
+
+JsonFileStore.prototype.load = async function() {
+    let records = await this._load();
+
+    return Object.keys(records).map(id => records[id]);
+};
+
+JsonFileStore.prototype.get = async function(id) {
+    let records = await this._load();
+
+    return records[id] || null;
+};
+
+JsonFileStore.prototype.save = async function(id, record) {
+    let records = await this._load();
+
+    records[id] = record;
+
+    return this._write();
+};
+
+JsonFileStore.prototype.remove = async function(id) {
+    let records = await this._load();
+
+    if (!records[id]) return;
+
+    delete records[id];
+
+    return this._write();
+};
+
+JsonFileStore.prototype._load = async function() {
+    if (this._records) return this._records;
+
+    let content;
+    try {
+        content = await readFile(this.path, 'utf-8');
+    }
+    catch (ex) {
+        if (ex.code !== 'ENOENT') throw ex;
+        content = null;
+    }
+
+    // another call might have loaded the file in the meantime
+    if (this._records) return this._records;
+
+    this._records = content ? JSON.parse(content).devices || {} : {};
+
+    return this._records;
+};
+
+JsonFileStore.prototype._write = function() {
+    if (this._queued) return this._queued;
+
+    this._queued = this._writing.then(() => {
+        this._queued = null;
+
+        let tmp = Path.join(Path.dirname(this.path), '.' + Path.basename(this.path) + '.tmp');
+        let content = JSON.stringify({ version: 1, devices: this._records }, null, 2);
+
+        return writeFile(tmp, content).then(() => rename(tmp, this.path));
+    });
+    this._writing = this._queued.catch(() => {});
+
+    return this._queued;
+};
+
+/**
+ * Store that keeps devices in memory, f.e. for tests
+ */
+function MemoryStore() {
+    this.records = {};
+}
+
+MemoryStore.prototype.load = async function() {
+    return Object.keys(this.records).map(id => this.records[id]);
+};
+
+MemoryStore.prototype.get = async function(id) {
+    return this.records[id] ? JSON.parse(JSON.stringify(this.records[id])) : null;
+};
+
+MemoryStore.prototype.save = async function(id, record) {
+    this.records[id] = JSON.parse(JSON.stringify(record));
+};
+
+MemoryStore.prototype.remove = async function(id) {
+    delete this.records[id];
+};
+
+/**
+ * Get a store for the `store` option: a path to a JSON file, or a store object
+ */
+function create(store) {
+    if (!store) return null;
+    if (typeof store === 'string') return new JsonFileStore(store);
+
+    return store;
+}
+
+/**
+ * Get the record of one device from a store
+ * @returns The record, or null if the device is not in the store
+ */
+async function find(store, id) {
+    if (typeof store.get === 'function') return store.get(id);
+
+    return (await store.load()).find(r => r.id === id) || null;
+}
+
+/**
+ * Turn a resource value into something that survives JSON.stringify
+ * @param {string} type Resource type, as in the lwm2m descriptor
+ */
+function serializeValue(type, value) {
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+
+    return value;
+}
+
+/**
+ * Reverse of serializeValue
+ */
+function deserializeValue(type, value) {
+    if (value === null || typeof value === 'undefined') return value;
+
+    switch (String(type).toLowerCase()) {
+        case 'time': return new Date(value);
+        case 'opaque': return Buffer.from(value, 'base64');
+        default: return value;
+    }
+}
+
+module.exports = {
+    JsonFileStore: JsonFileStore,
+    MemoryStore: MemoryStore,
+    create: create,
+    find: find,
+    serializeValue: serializeValue,
+    deserializeValue: deserializeValue
+};
@@ -23,11 +23,15 @@ const url = require('url');
 const RPCClient = require('./rpc-client');
 const manifestParser = require('./manifest-parser');
 const fs = require('fs');
-const fp = require('ieee-float');
-const i64 = require('node-int64');
+const promisify = require('es6-promisify');
+const codec = require('./value-codec');
 const Path = require('path');
-
-const CON_PR = '\x1b[34m[ClientService]\x1b[0m';
+const Logger = require('./logger');
+const DeviceStore = require('./device-store');
+const Objects = require('./lwm2m-objects');
+const Constraints = require('./constraints');
+const TrustStore = require('./trust-store');
+const { ValidationError, RegistrationError, FirmwareDownloadError, causeMessage } = require('./errors');
 
 const ARM_UC_MONITOR_STATE_NONE              = 0;
 const ARM_UC_MONITOR_STATE_DOWNLOADING       = 1;
@@ -44,10 +48,98 @@ const ARM_UC_MONITOR_RESULT_ERROR_TYPE       = 6;
 const ARM_UC_MONITOR_RESULT_ERROR_URI        = 7;
 const ARM_UC_MONITOR_RESULT_ERROR_UPDATE     = 8;
 
-function MbedDevice(id, clientType, edgeRpc) {
+// descriptor type => name of the RPCClient.createResource* function
+const RESOURCE_TYPES = {
+    'string': 'String',
+    'int': 'Int',
+    'float': 'Float',
+    'boolean': 'Boolean',
+    'bool': 'Boolean',
+    'time': 'Time',
+    'opaque': 'Opaque'
+};
+
+/**
+ * Figure out the resource type for an lwm2m descriptor. Uses the `type` field if
+ * present, otherwise infers it from the initial value.
+ * @returns One of 'String', 'Int', 'Float', 'Boolean', 'Time', 'Opaque'
+ */
+function getResourceType(l, log) {
+    if (typeof l.type !== 'undefined') {
+        let type = RESOURCE_TYPES[String(l.type).toLowerCase()];
+        if (!type) {
+            throw new ValidationError(`Unknown type '${l.type}' for ${l.path}, should be one of ${Object.keys(RESOURCE_TYPES).join(', ')}`);
+        }
+        return type;
+    }
+
+    if (typeof l.value === 'boolean') return 'Boolean';
+    if (Buffer.isBuffer(l.value)) return 'Opaque';
+    if (l.value instanceof Date) return 'Time';
+    if (typeof l.value !== 'number' || isNaN(l.value)) return 'String';
+
+    if (l.value % 1 === 0) {
+        // could just as well be a float that happens to start at a whole number
+        log.warn(`No type for ${l.path}, inferred 'int' from value ${l.value}. ` +
+            `Set 'type' explicitly if the value can be fractional.`, { route: l.path });
+        return 'Int';
+    }
+
+    return 'Float';
+}
+
+/**
+ * Starting value for a resource without `value`: 0 (or the nearest value within min / max),
+ * '', false, the epoch or an empty buffer
+ */
+function defaultValue(type, l) {
+    switch (type) {
+        case 'Int':
+        case 'Float': {
+            let value = 0;
+            if (typeof l.min === 'number' && value < l.min) value = l.min;
+            if (typeof l.max === 'number' && value > l.max) value = l.max;
+            return value;
+        }
+        case 'Boolean': return false;
+        case 'Time': return new Date(0);
+        case 'Opaque': return Buffer.alloc(0);
+        default: return '';
+    }
+}
+
+/**
+ * Device that is managed through Mbed Edge
+ * @param {string} id Device ID
+ * @param {string} clientType
+ * @param {*} edgeRpc Instance of edge-rpc-client
+ * @param {object} options Optional settings
+ *   - offlineBuffer: buffer values that are set while Mbed Edge is unreachable and send them
+ *     after reconnecting, see offline-buffer.js for the options (default: disabled)
+ *   - store: save the device model, values and firmware info after every change, so it can
+ *     be restored after a restart. Path to a JSON file or a store object, see device-store.js
+ *   - firmware: how firmware updates are downloaded. `directory` to stream images to disk instead
+ *     of memory (and resume interrupted downloads), `deliver` 'path' (default) or 'stream' for what
+ *     the 'fota' and 'update-execute' events get when a directory is set, `maxSize` to limit downloads
+ *     through 5/0/1, and `retries` / `retryDelay` for resuming. With an `updateManager` only `deliver`
+ *     is used, the update manager downloads with its own options.
+ *   - trustStore: TrustStore with the update certificates, shared by all devices of a
+ *     RemoteClientService (see trust-store.js). Default: a store for only this device.
+ *   - updateManager: UpdateManager that downloads firmware and limits concurrent updates,
+ *     shared by all devices of a RemoteClientService (see update-manager.js)
+ *   - deviceInfo: create the Device object (3/0) on register(), from { manufacturer, modelNumber,
+ *     serialNumber, firmwareVersion, batteryLevel } (see lwm2m-objects.deviceObject). Firmware
+ *     Version defaults to the installed firmware, and follows it after updates.
+ *   - attributesPath: path of a string resource (f.e. '/26241/0/1') that Mbed Cloud can write
+ *     LwM2M Write-Attributes queries to, like '3303/0/5700?pmin=10&st=0.5' (see setAttributes())
+ *   - logger, logLevel: see logger.js
+ */
+function MbedDevice(id, clientType, edgeRpc, options) {
     // inherit from eventemitter
     EventEmitter.call(this);
 
+    this.options = options || {};
+
     // immutable properties
     Object.defineProperty(this, 'id', { get: () => id });
 
@@ -56,7 +148,16 @@ function MbedDevice(id, clientType, edgeRpc) {
 
     this.edgeRpc = edgeRpc;
 
-    this.ID_PR = '[' + this.id + ']';
+    this.log = Logger.create(this.options).child({ deviceId: id });
+
+    this.store = DeviceStore.create(this.options.store);
+
+    // certificates that manifests are verified against, usually shared by all devices
+    this.trustStore = this.options.trustStore || new TrustStore({ logger: this.log });
+
+    // arguments of the last register() call, and the firmware that is installed
+    this.$registration = null;
+    this.$firmware = { name: '', version: '', timestamp: null };
 
     this.$setResources([]); // resources are set in register() call
 
@@ -66,25 +167,36 @@ function MbedDevice(id, clientType, edgeRpc) {
         if (deviceId !== this.id) return;
 
         if (this.resources[path]) {
-            if (this.resources[path].rpcType === 'Int') {
-                let value = new i64(newValue) + 0;
+            let route = this.rpcClient && this.rpcClient.routes[path.substr(1)];
+            let type = route ? route.type : 'string';
 
-                this.resources[path].value = value;
-            }
-            else if (this.resources[path].rpcType === 'Float') {
-                let value = fp.readDoubleBE(newValue);
-
-                this.resources[path].value = value;
+            try {
+                this.resources[path].value = codec.decode(type, newValue);
             }
-            else {
-                this.resources[path].value = newValue.toString('utf-8');
+            catch (ex) {
+                this.log.warn('Cannot decode value', { route: path, err: ex.message });
+                return;
             }
 
             this.emit('put', path, this.resources[path].value);
+
+            this.$persist();
         }
     };
 
     edgeRpc.on('resource-updated', onUpdated);
+
+    // once per device, register() can be called more than once
+    edgeRpc.on('resource-executed', (deviceId, route, data) => {
+        if (deviceId !== this.id) return;
+        if (!this.rpcClient || !this.rpcClient.routes[route]) return;
+
+        this.emit('post', '/' + route, data);
+
+        // Reboot and Factory Reset of the Device object
+        if (route === '3/0/4') this.emit('reboot');
+        if (route === '3/0/5') this.emit('factory-reset');
+    });
 }
 
  [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x61]
@@ -92,25 +204,207 @@ function MbedDevice(id, clientType, edgeRpc) {
 MbedDevice.prototype = Object.create(EventEmitter.prototype);
 
 MbedDevice.prototype.$setResources = function(resources) {
+    // resources is an object with path as keys
+    this.resources = {};
+
+    for (let res of resources) {
+        this.$addResource(res);
+    }
+};
+
+MbedDevice.prototype.$addResource = function(res) {
     let self = this;
 
-    // resources is an object with path as keys
-    this.resources = resources.reduce((curr, res) => {
-        curr[res.path] = res;
+    this.resources[res.path] = res;
 
-        // writeable resource? add a setValue call
-        if (res.operation.indexOf('GET') > -1) {
-            curr[res.path].setValue = function(v) {
-                return self.setValue(res.path, v);
-            }
-        }
+    // writeable resource? add a setValue call
+    if (res.operation.indexOf('GET') > -1) {
+        res.setValue = function(v) {
+            return self.setValue(res.path, v);
+        };
+        res.read = function(force) {
+            return self.read(res.path, force);
+        };
+    }
+};
 
-        return curr;
-    }, {});
+/**
+ * Create the resource or function for an lwm2m descriptor in the RPC client
+ */
+MbedDevice.prototype.$createResource = function(l) {
+    let rpc = this.rpcClient;
+    let path = l.path.replace(/^\//, '');
+
+    if (l.operation.indexOf('POST') > -1) {
+        return rpc.createFunction(path);
+    }
+
+    let type = getResourceType(l, this.log);
+
+    // add this info for the device as well
+    l.rpcType = type;
+
+    // f.e. named descriptors, that only say which resource they are
+    if (typeof l.value === 'undefined') l.value = defaultValue(type, l);
+
+    let invalid = Constraints.check(l)[0];
+    if (invalid) {
+        throw new ValidationError(`Invalid constraint '${invalid.constraint}' for ${l.path}, ${invalid.message}`);
+    }
+    Constraints.validate(l, l.value);
+
+    let isGet = l.operation.indexOf('GET') > -1;
+    let isPut = l.operation.indexOf('PUT') > -1;
+    let opr = RPCClient.NOT_ALLOWED;
+    if (isGet && isPut) {
+        opr = RPCClient.GET_PUT_ALLOWED;
+    }
+    else if (isGet) {
+        opr = RPCClient.GET_ALLOWED;
+    }
+    else if (isPut) {
+        opr = RPCClient.PUT_ALLOWED;
+    }
+
+    let created = rpc['createResource' + type](path, l.value, opr, l.observable);
+
+    if (typeof l.onRead !== 'function' && !l.attributes) return created;
+
+    return created.then(o => {
+        if (typeof l.onRead === 'function') this.$setReadHandler(l);
+        if (l.attributes) rpc.setAttributes(path, l.attributes);
+        return o;
+    });
+};
+
+MbedDevice.prototype.$setReadHandler = function(l) {
+    // Mbed Edge doesn't tell us whether Mbed Cloud observes a resource, so refresh all observable ones
+    this.rpcClient.setReadHandler(l.path.replace(/^\//, ''), async () => {
+        let value = await l.onRead(l.path);
+        Constraints.validate(l, value);
+        return value;
+    }, { ttl: l.ttl, refresh: l.observable !== false });
+};
+
+/**
+ * Set the handler that reads the value of a resource from the physical device, see read().
+ * Same as passing `onRead` and `ttl` in the lwm2m descriptor.
+ * @param {string} path F.e. '/3303/0/5700' or 'temperature/0/sensorValue'
+ * @param {function} handler Async function(path) that returns the current value
+ * @param {number} ttl How long (ms) a value stays fresh
+ */
+MbedDevice.prototype.setReadHandler = function(path, handler, ttl) {
+    path = Objects.resolvePath(path);
+
+    let res = this.resources[path];
+    if (!res || !res.rpcType) throw new ValidationError(`Resource ${path} does not exist`);
+    if (!this.rpcClient) throw new RegistrationError('Device is not registered');
+
+    res.onRead = handler;
+    res.ttl = ttl;
+
+    this.$setReadHandler(res);
+};
+
+/**
+ * Set a handler that can accept, transform or reject writes from Mbed Cloud for all
+ * resources of this device. Resources can override this through an `onWrite(value, path)`
+ * function in their lwm2m descriptor.
+ * @param {function} handler Async function(path, value). Return undefined to accept the value,
+ *                           return a value to store that instead, or throw to reject the write.
+ *                           Pass null to remove the handler.
+ */
+MbedDevice.prototype.setWriteHandler = function(handler) {
+    this.writeHandler = handler;
+};
+
+/**
+ * Set the notification attributes of an observable resource, they decide when new values are
+ * sent to Mbed Edge. Same as `attributes` in the lwm2m descriptor.
+ * @param {string} path F.e. '/3303/0/5700' or 'temperature/0/sensorValue'
+ * @param {object} attributes { pmin, pmax, step, gt, lt }, periods in seconds. null removes an
+ *                            attribute, see RPCClient.setAttributes()
+ * @returns The attributes of the resource
+ */
+MbedDevice.prototype.setAttributes = function(path, attributes) {
+    path = Objects.resolvePath(path);
+
+    if (!this.resources[path]) throw new ValidationError(`Resource ${path} does not exist`);
+    if (!this.rpcClient) throw new RegistrationError('Device is not registered');
+
+    return this.rpcClient.setAttributes(path.substr(1), attributes);
+};
+
+/**
+ * Called by edge-rpc-client before a write from Mbed Cloud is applied
+ */
+MbedDevice.prototype.$onWrite = async function(route, buffer) {
+    let path = '/' + route;
+    let res = this.resources[path];
+    let r = this.rpcClient && this.rpcClient.routes[route];
+
+    // Write-Attributes query, invalid ones are rejected
+    if (r && this.options.attributesPath && path === Objects.resolvePath(this.options.attributesPath)) {
+        this.rpcClient.writeAttributes(codec.decode('string', buffer));
+        return buffer;
+    }
+
+    if (!res || !r) return buffer;
+
+    let value = codec.decode(r.type, buffer);
+    let result;
+
+    // rejected writes are sent back to Mbed Edge as JSON-RPC error
+    Constraints.validate(res, value);
+
+    if (typeof res.onWrite === 'function') {
+        result = await res.onWrite(value, path);
+    }
+    else if (typeof this.writeHandler === 'function') {
+        result = await this.writeHandler(path, value);
+    }
+
+    if (typeof result === 'undefined') return buffer;
+
+    Constraints.validate(res, result);
+
+    // handler changed the value, let Mbed Edge know after the write was applied
+    setImmediate(() => {
+        this.rpcClient.writeRoutes([ route ]).catch(ex => {
+            this.log.warn('Writing transformed value failed', { route: path, err: ex });
+        });
+    });
+
+    return codec.encode(r.type, result);
+};
+
+/**
+ * Get the value of a resource. For resources with an `onRead` handler in their descriptor,
+ * the value is read from the physical device first when it's older than `ttl` ms (or
+ * when `force` is set), and written to Mbed Edge.
+ * @param {string} path F.e. '/3303/0/5700' or 'temperature/0/sensorValue'
+ * @param {boolean} force Call the `onRead` handler even if the value is fresh
+ * @returns Promise that holds the value
+ */
+MbedDevice.prototype.read = async function(path, force) {
+    path = Objects.resolvePath(path);
+
+    let res = this.resources[path];
+    if (!res) throw new ValidationError(`Resource ${path} does not exist`);
+
+    if (this.rpcClient && this.rpcClient.routes[path.substr(1)]) {
+        await this.rpcClient.readRoute(path.substr(1), force);
+    }
+
+    return res.value;
 };
 
 MbedDevice.prototype.setValue = async function(path, value) {
     try {
+        if (this.resources[path]) {
+            Constraints.validate(this.resources[path], value);
+        }
+
         if (this.rpcClient && this.rpcClient.is_open) {
             await this.rpcClient._setValue(path, value);
         }
@@ -118,6 +412,8 @@ MbedDevice.prototype.setValue = async function(path, value) {
         // update value when request succeeded
         this.resources[path].value = value;
 
+        this.$persist();
+
         return value;
     }
     catch (ex) {
@@ -127,34 +423,84 @@ MbedDevice.prototype.setValue = async function(path, value) {
 };
 
 MbedDevice.prototype.deregister = async function() {
-    const ID_PR = this.ID_PR;
-
     if (this.rpcClient && this.rpcClient.is_open) {
-        console.log(CON_PR, ID_PR, 'Deregistering');
+        this.log.info('Deregistering');
         try {
             await this.rpcClient.unregister();
         }
         catch (ex) {
-            console.log(CON_PR, ID_PR, 'Deregistering failed', ex);
+            this.log.warn('Deregistering failed', { err: ex });
         }
         this.rpcClient.terminate();
     }
 
+    this.edgeRpc.setWriteHandler(this.id, null);
+
     this.endpoint = '';
 };
 
+/**
+ * Send the device and its current resource values to Mbed Edge again,
+ * f.e. after Mbed Edge was restarted. No-op if the device was not registered.
+ */
+MbedDevice.prototype.reregister = async function() {
+    if (!this.getRegistrationStatus()) return;
+
+    this.log.info('Re-registering');
+    this.endpoint = await this.rpcClient.register();
+    this.log.info('Re-registered', { endpoint: this.endpoint });
+
+    await this.rpcClient.flushOfflineBuffer();
+};
+
+/**
+ * Statistics of the offline buffer (buffered, dropped, replaced and flushed values),
+ * or null if the device has no offline buffer
+ */
+MbedDevice.prototype.getOfflineBufferStats = function() {
+    if (!this.rpcClient) return null;
+
+    return this.rpcClient.getOfflineBufferStats();
+};
+
 MbedDevice.prototype.registerUpdateResources = async function(vendorId, classId, certificateBuffer) {
-    const ID_PR = this.ID_PR;
+    let log = this.log;
 
     let rpc = this.rpcClient;
 
-    // update resources
-    await rpc.createFunction('5/0/1', url => {
-        console.log(CON_PR, ID_PR, '5/0/1 Package URL call', url);
+    // shared by all devices of a RemoteClientService, see update-manager.js
+    let updates = this.options.updateManager;
+
+    // the certificate from register() is trusted for this vendor / class, unless it was revoked
+    if (certificateBuffer) {
+        try {
+            if (this.trustStore.isRevoked(certificateBuffer)) {
+                log.warn('Update certificate was revoked, not trusting it', { vendorId: vendorId, classId: classId });
+            }
+            else {
+                this.trustStore.add(vendorId, classId, certificateBuffer);
+            }
+        }
+        catch (ex) {
+            log.warn('Cannot add update certificate', { err: ex });
+        }
+    }
+
+    // LwM2M firmware update: Mbed Cloud writes a URI to 5/0/1, we download it, and executing 5/0/2 applies it
+    await rpc.createResourceString('5/0/1', '', RPCClient.PUT_ALLOWED, false);
+
+    rpc.on('value-updated', (route, url) => {
+        if (route !== '5/0/1') return;
+
+        this.$downloadPackage(url).catch(ex => {
+            log.error('Downloading firmware failed', { err: ex });
+        });
     });
 
     await rpc.createFunction('5/0/2', () => {
-        console.log(CON_PR, ID_PR, '5/0/2 Execute firmware update call');
+        this.$executeUpdate().catch(ex => {
+            log.error('Executing firmware update failed', { err: ex });
+        });
     });
 
     // Device metadata => Manifest protocol supported
@@ -162,186 +508,707 @@ MbedDevice.prototype.registerUpdateResources = async function(vendorId, classId,
 
     let fwState = this.fwState = await rpc.createResourceInt('5/0/3', ARM_UC_MONITOR_STATE_NONE, RPCClient.GET_ALLOWED, true);
     let fwResult = this.fwResult = await rpc.createResourceInt('5/0/5', ARM_UC_MONITOR_RESULT_NONE, RPCClient.GET_ALLOWED, true);
-    let fwName = this.fwName = await rpc.createResourceString('5/0/6', '', RPCClient.GET_ALLOWED, true); // sha256 hash of the fw
-    let fwVersion = this.fwVersion = await rpc.createResourceString('5/0/7', '', RPCClient.GET_ALLOWED, true); // timestamp from manifest
+    let fwName = this.fwName = await rpc.createResourceString('5/0/6', this.$firmware.name, RPCClient.GET_ALLOWED, true); // sha256 hash of the fw
+    let fwVersion = this.fwVersion = await rpc.createResourceString('5/0/7', this.$firmware.version, RPCClient.GET_ALLOWED, true); // timestamp from manifest
 
     await rpc.createFunction('5/0/0', async function (package) {
         try {
-            console.log(CON_PR, ID_PR, '5/0/0 Firmware manifest was received');
+            log.info('5/0/0 Firmware manifest was received');
 
-            // reset the state of the resources
+            // reset the state of the resources, 5/0/6 and 5/0/7 keep showing the installed firmware
             await fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
             await fwResult.setValue(ARM_UC_MONITOR_RESULT_NONE);
-            await fwName.setValue('');
-            await fwVersion.setValue('');
 
-            // parse and verify manifest
+            // a manifest replaces a download through 5/0/1
+            let previous = this.$package;
+            this.$packageDownload = null;
+            this.$package = null;
+            await this.$removePackage(previous);
+
+            // parse and verify manifest, manifests older than the installed firmware are rejected
             let manifest;
             try {
-                // @todo: these should move to the definition file...
-                manifest = this.manifest = await manifestParser.parseAndVerifyManifest(
-                    vendorId,
-                    classId,
-                    certificateBuffer,
-                    package
-                );
+                let result = await this.trustStore.verify(vendorId, classId, package, {
+                    logger: log,
+                    deviceId: this.id,
+                    minTimestamp: this.$firmware.timestamp
+                });
+                manifest = this.manifest = result.manifest;
+
+                // fingerprint of the certificate that signed the manifest
+                this.manifestCertificate = result.certificate;
+                log.info('Manifest verified', { certificate: result.certificate });
             }
             catch (ex) {
                 await fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
                 await fwResult.setValue(ARM_UC_MONITOR_RESULT_ERROR_UPDATE);
+                if (updates) updates.fail(this.id, ex);
                 throw ex;
             }
-            console.log(CON_PR, ID_PR, 'manifest', manifest);
+            log.debug('Parsed manifest', { manifest: manifest });
 
             await fwState.setValue(ARM_UC_MONITOR_STATE_DOWNLOADING);
-            console.log(CON_PR, ID_PR, 'State is now', 'ARM_UC_MONITOR_STATE_DOWNLOADING');
+            log.info('State is now ARM_UC_MONITOR_STATE_DOWNLOADING');
 
             // download the firmware
             let firmware;
             try {
-                firmware = await manifestParser.downloadAndVerifyFirmware(manifest);
+                if (updates) {
+                    // shared with other devices that got the same image
+                    firmware = await updates.download(this.id, manifest, p => this.emit('fota-progress', p));
+                    if (typeof firmware === 'undefined') return log.info('Update was superseded by a newer one');
+                }
+                else {
+                    firmware = await manifestParser.downloadAndVerifyFirmware(manifest, this.$downloadOptions());
+                }
             }
             catch (ex) {
                 await fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
                 await fwResult.setValue(ARM_UC_MONITOR_RESULT_ERROR_URI);
                 throw ex;
             }
-            console.log(CON_PR, ID_PR, 'Firmware size is', firmware.length, 'bytes');
+            log.info('Firmware downloaded', { size: manifest.payload.reference.size });
+
+            this.$package = {
+                firmware: firmware,
+                file: typeof firmware === 'string',
+                name: manifest.payload.reference.hash,
+                version: manifest.timestamp.toString(),
+                timestamp: manifest.timestamp
+            };
 
             await fwState.setValue(ARM_UC_MONITOR_STATE_DOWNLOADED);
-            console.log(CON_PR, ID_PR, 'State is now', 'ARM_UC_MONITOR_STATE_DOWNLOADED');
+            log.info('State is now ARM_UC_MONITOR_STATE_DOWNLOADED');
 
-            this.emit('fota', firmware /* buffer */);
+            this.emit('fota', await this.$deliverPackage());
         }
         catch (ex) {
-            console.error('Downloading firmware failed...', ex);
+            log.error('Downloading firmware failed', { err: ex });
         }
     }.bind(this));
 };
 
+/**
+ * Options for manifestParser.downloadFirmware, from the `firmware` option of the device
+ */
+MbedDevice.prototype.$downloadOptions = function() {
+    let fwOptions = this.options.firmware || {};
+
+    return {
+        logger: this.log,
+        directory: fwOptions.directory,
+        maxSize: fwOptions.maxSize,
+        retries: fwOptions.retries,
+        retryDelay: fwOptions.retryDelay,
+        onProgress: progress => this.emit('fota-progress', progress)
+    };
+};
+
+/**
+ * The downloaded firmware as it's handed to the application: a Buffer, or the path
+ * to (or a stream of) the file when a directory is configured
+ */
+MbedDevice.prototype.$deliverPackage = async function() {
+    let fwOptions = this.options.firmware || {};
+    let pkg = this.$package;
+
+    if (!pkg.file) return pkg.firmware;
+
+    let deliver = fwOptions.deliver || (fwOptions.directory ? 'path' : 'buffer');
+    if (deliver === 'stream') return fs.createReadStream(pkg.firmware);
+    if (deliver === 'path') return pkg.firmware;
+
+    return promisify(fs.readFile.bind(fs))(pkg.firmware);
+};
+
+/**
+ * Remove a downloaded image from `firmware.directory`. With an update manager the
+ * update manager removes its images.
+ */
+MbedDevice.prototype.$removePackage = async function(pkg) {
+    if (!pkg || !pkg.file || this.options.updateManager) return;
+
+    try {
+        await promisify(fs.unlink.bind(fs))(pkg.firmware);
+        this.log.debug('Removed downloaded firmware', { path: pkg.firmware });
+    }
+    catch (ex) {
+        if (ex.code !== 'ENOENT') this.log.warn('Removing downloaded firmware failed', { path: pkg.firmware, err: ex });
+    }
+};
+
+/**
+ * Called when Mbed Cloud writes 5/0/1 (Package URI). Downloads the firmware and moves 5/0/3
+ * to downloaded, an empty URI cancels the update.
+ */
+MbedDevice.prototype.$downloadPackage = async function(url) {
+    let log = this.log;
+    let updates = this.options.updateManager;
+
+    // a new URI replaces whatever was downloaded before
+    let previous = this.$package;
+    let download = this.$packageDownload = { url: url };
+    this.$package = null;
+    this.manifest = null;
+    await this.$removePackage(previous);
+
+    if (!url) {
+        log.info('5/0/1 Package URI was cleared');
+        if (updates && updates.getState(this.id)) updates.fail(this.id, new FirmwareDownloadError('Update was cancelled'));
+        await this.fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
+        await this.fwResult.setValue(ARM_UC_MONITOR_RESULT_NONE);
+        return;
+    }
+
+    log.info('5/0/1 Package URI was written', { url: url });
+
+    if (!/^https?:\/\/./i.test(url)) {
+        let err = new ValidationError(`Package URI should be a http(s) URL, but was '${url}'`);
+        await this.fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
+        await this.fwResult.setValue(ARM_UC_MONITOR_RESULT_ERROR_URI);
+        if (updates) updates.fail(this.id, err);
+        throw err;
+    }
+
+    await this.fwResult.setValue(ARM_UC_MONITOR_RESULT_NONE);
+    await this.fwState.setValue(ARM_UC_MONITOR_STATE_DOWNLOADING);
+    log.info('State is now ARM_UC_MONITOR_STATE_DOWNLOADING');
+
+    let result;
+    try {
+        result = updates ?
+            await updates.downloadUri(this.id, url, p => this.emit('fota-progress', p)) :
+            await manifestParser.downloadFirmware(url, this.$downloadOptions());
+    }
+    catch (ex) {
+        if (download !== this.$packageDownload) return;
+
+        await this.fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
+        await this.fwResult.setValue(ex.cause && ex.cause.statusCode ?
+            ARM_UC_MONITOR_RESULT_ERROR_URI : ARM_UC_MONITOR_RESULT_ERROR_CONNECTION);
+        throw ex;
+    }
+
+    if (download !== this.$packageDownload || !result) {
+        log.info('Discarding firmware, the Package URI changed during the download', { url: url });
+        // unless the same URI is downloaded again, to the same file
+        let current = this.$packageDownload;
+        if (result && (!current || current.url !== url)) {
+            await this.$removePackage({ firmware: result.firmware, file: typeof result.firmware === 'string' });
+        }
+        return;
+    }
+
+    log.info('Firmware downloaded', { size: result.size });
+
+    this.$package = {
+        firmware: result.firmware,
+        file: typeof result.firmware === 'string',
+        name: result.hash,
+        version: ''
+    };
+
+    await this.fwState.setValue(ARM_UC_MONITOR_STATE_DOWNLOADED);
+    log.info('State is now ARM_UC_MONITOR_STATE_DOWNLOADED');
+};
+
+/**
+ * Called when Mbed Cloud executes 5/0/2 (Update). Emits 'update-execute' with the downloaded
+ * firmware, the application then applies it and calls setFotaComplete() or setFotaError().
+ */
+MbedDevice.prototype.$executeUpdate = async function() {
+    if (this.fwState.value !== ARM_UC_MONITOR_STATE_DOWNLOADED || !this.$package) {
+        this.log.warn('5/0/2 Update was executed, but no firmware was downloaded', { state: this.fwState.value });
+        return;
+    }
+
+    this.log.info('5/0/2 Update was executed');
+
+    await this.setFotaUpdating();
+
+    this.emit('update-execute', await this.$deliverPackage());
+};
+
 MbedDevice.prototype.setFotaUpdating = async function () {
     await this.fwState.setValue(ARM_UC_MONITOR_STATE_UPDATING);
 
-    console.log(CON_PR, this.ID_PR, 'Result is now', ARM_UC_MONITOR_STATE_UPDATING);
+    this.log.info('State is now ARM_UC_MONITOR_STATE_UPDATING');
+};
+
+/**
+ * Set the handler that restores the installed firmware when applying an update fails
+ * @param {function} handler Async function(firmware, error), called from setFotaError() when the
+ *                           update was being applied. `firmware` is the installed firmware to go back
+ *                           to ({ name, version, timestamp }). Pass null to remove the handler.
+ */
+MbedDevice.prototype.setRollbackHandler = function(handler) {
+    this.rollbackHandler = handler;
 };
 
+/**
+ * Report that the update failed. If the firmware was being applied (after 'update-execute' or
+ * setFotaUpdating()), the rollback handler runs first. Errors of the handler are logged, not thrown.
+ * @param error Optional, what went wrong
+ */
 MbedDevice.prototype.setFotaError = async function (error) {
+    if (this.fwState.value === ARM_UC_MONITOR_STATE_UPDATING && this.rollbackHandler) {
+        this.log.info('Rolling back firmware', { firmware: this.$firmware });
+        try {
+            await this.rollbackHandler(this.getInstalledFirmware(), error);
+        }
+        catch (ex) {
+            this.log.error('Rolling back firmware failed', { err: ex });
+        }
+    }
+
+    // 5/0/6 and 5/0/7 still show the installed firmware
     await this.fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
     await this.fwResult.setValue(ARM_UC_MONITOR_RESULT_ERROR_UPDATE);
 
-    console.log(CON_PR, this.ID_PR, 'Result is now', ARM_UC_MONITOR_RESULT_ERROR_UPDATE);
+    this.log.info('Result is now ARM_UC_MONITOR_RESULT_ERROR_UPDATE', { err: error });
+
+    let pkg = this.$package;
+    this.$package = null;
+    await this.$removePackage(pkg);
+
+    if (this.options.updateManager) this.options.updateManager.fail(this.id, error);
 };
 
-MbedDevice.prototype.setFotaComplete = async function () {
+/**
+ * Report that the downloaded firmware was applied
+ * @param {string} version Optional version of the new firmware, shown in 5/0/7 (and in 3/0/3 if the
+ *                         device has a Device object). Defaults to the
+ *                         timestamp of the manifest (empty for updates through 5/0/1).
+ *                         Without downloaded firmware the installed firmware is left as it is.
+ */
+MbedDevice.prototype.setFotaComplete = async function (version) {
     await this.fwResult.setValue(ARM_UC_MONITOR_RESULT_SUCCESS);
-    console.log(CON_PR, this.ID_PR, 'Result is now', 'ARM_UC_MONITOR_RESULT_SUCCESS');
+    this.log.info('Result is now ARM_UC_MONITOR_RESULT_SUCCESS');
+
+    let pkg = this.$package;
+    if (pkg) {
+        await this.fwName.setValue(pkg.name || '');
+        await this.fwVersion.setValue(typeof version === 'undefined' ? pkg.version || '' : String(version));
+        this.log.info('Set fwName and fwVersion');
+
+        this.$firmware = {
+            name: this.fwName.value,
+            version: this.fwVersion.value,
+            // updates through 5/0/1 have no manifest, newer manifests are still required after them
+            timestamp: typeof pkg.timestamp === 'number' ? pkg.timestamp : this.$firmware.timestamp
+        };
+
+        // the Device object shows the new version as well
+        if (this.resources['/3/0/3'] && this.$firmware.version) {
+            await this.setValue('/3/0/3', this.$firmware.version);
+        }
 
-    await this.fwName.setValue(this.manifest.payload.reference.hash);
-    await this.fwVersion.setValue(this.manifest.timestamp.toString());
-    console.log(CON_PR, this.ID_PR, 'Set fwName and fwVersion');
+        await this.$persist();
+    }
+    else {
+        this.log.warn('No firmware was downloaded, keeping fwName and fwVersion', { firmware: this.$firmware });
+    }
 
     await this.fwState.setValue(ARM_UC_MONITOR_STATE_NONE);
-    console.log(CON_PR, this.ID_PR, 'State is now', 'ARM_UC_MONITOR_STATE_NONE');
+    this.log.info('State is now ARM_UC_MONITOR_STATE_NONE');
+
+    this.$package = null;
+    await this.$removePackage(pkg);
+
+    if (this.options.updateManager) this.options.updateManager.complete(this.id);
+};
+
+/**
+ * The firmware that is installed, as reported through setFotaComplete()
+ * @returns { name, version, timestamp } with the payload hash, version and manifest timestamp
+ */
+MbedDevice.prototype.getInstalledFirmware = function() {
+    return Object.assign({}, this.$firmware);
 };
 
 MbedDevice.prototype.register = async function(lwm2m, supportsUpdate, vendorId, classId, updateCertificateBuffer) {
 
     let rpc;
 
-    const ID_PR = this.ID_PR;
+    let log = this.log;
+
+    // the installed firmware survives restarts, even when the device is not restored from the store
+    if (!this.$registration && this.store) {
+        await this.$loadFirmware();
+    }
 
     try {
+        // named descriptors, f.e. { object: 'temperature', instance: 0, resource: 'sensorValue' }
+        lwm2m = lwm2m.map(l => Objects.resolveDescriptor(l));
+
+        // the Device object, resources that are in the model already (f.e. when restored) are kept
+        if (this.options.deviceInfo) {
+            let info = Object.assign({ firmwareVersion: this.$firmware.version }, this.options.deviceInfo);
+            lwm2m = lwm2m.concat(Objects.deviceObject(info).filter(d => !lwm2m.find(l => l.path === d.path)));
+        }
+
         // set resource model
         this.$setResources(lwm2m);
 
-        // console.log(CON_PR, ID_PR, 'Registering with model', lwm2m, 'supporting update', supportsUpdate);
+        log.debug('Registering with model', { model: lwm2m, supportsUpdate: supportsUpdate });
 
         // then start an RPC channel
-        let rpc = this.rpcClient = new RPCClient(this.edgeRpc, this.id);
+        rpc = this.rpcClient = new RPCClient(this.edgeRpc, this.id, {
+            offlineBuffer: this.options.offlineBuffer,
+            logger: this.log
+        });
         await rpc.open();
 
-        console.log(CON_PR, ID_PR, 'Opened RPC Channel');
+        log.debug('Opened RPC Channel');
+
+        this.edgeRpc.setWriteHandler(this.id, this.$onWrite.bind(this));
 
-        this.edgeRpc.on('resource-executed', (deviceId, route, data) => {
-            if (deviceId !== this.id) return;
+        rpc.on('value-read', (route, value) => {
+            let res = this.resources['/' + route];
+            if (!res) return;
 
-            this.emit('post', '/' + route, data);
+            res.value = value;
+            this.$persist();
         });
 
-        /*
-            { path: '/example/0/rule', value: 'Hello world', valueType: 'dynamic', operation: ['GET', 'PUT'], observable: true }
-        */
-        let actions = lwm2m.map(l => {
-            let path = l.path.replace(/^\//, '');
+        // keep notification attributes in the model, so they're saved
+        rpc.on('attributes-updated', (route, attributes) => {
+            let res = this.resources['/' + route];
+            if (!res) return;
 
-            if (l.operation.indexOf('POST') > -1) {
-                return rpc.createFunction(path);
-            }
-
-            let type;
-            if (typeof l.value === 'string' || isNaN(l.value)) {
-                type = 'String';
+            if (Object.keys(attributes).length > 0) {
+                res.attributes = attributes;
             }
             else {
-                if (l.value % 1 === 0) {
-                    type = 'Int';
-                }
-                else {
-                    type = 'Float';
-                }
+                delete res.attributes;
             }
+            this.$persist();
+        });
 
-            // add this info for the device as well
-            l.rpcType = type;
+        /*
+            { path: '/example/0/rule', value: 'Hello world', type: 'string', operation: ['GET', 'PUT'], observable: true }
 
-            let isGet = l.operation.indexOf('GET') > -1;
-            let isPut = l.operation.indexOf('PUT') > -1;
-            let opr = RPCClient.NOT_ALLOWED;
-            if (isGet && isPut) {
-                opr = RPCClient.GET_PUT_ALLOWED;
-            }
-            else if (isGet) {
-                opr = RPCClient.GET_ALLOWED;
-            }
-            else if (isPut) {
-                opr = RPCClient.PUT_ALLOWED;
-            }
+            type is one of 'string', 'int', 'float', 'boolean', 'time', 'opaque' (inferred from value if omitted)
 
-            return rpc['createResource' + type](path, l.value, opr, l.observable);
-        });
+            instead of a path, standard objects can be named (see lwm2m-objects.js), type and
+            operation are then taken from the object registry:
+
+            { object: 'temperature', instance: 0, resource: 'sensorValue', value: 21.5 }
+
+            without a value, resources start at 0, '', false, new Date(0) or an empty buffer (by type)
+
+            values of slow devices can be read on demand, see read():
+
+            { path: '/3303/0/5700', type: 'float', operation: ['GET'], value: 0, ttl: 60000, onRead: async (path) => 21.5 }
+
+            notification attributes limit how often values are sent, see setAttributes():
+
+            { path: '/3303/0/5700', type: 'float', operation: ['GET'], value: 0, attributes: { pmin: 1, pmax: 60, step: 0.5 } }
+        */
+        let actions = lwm2m.map(l => this.$createResource(l));
+
+        // Mbed Edge doesn't forward Write-Attributes, so Mbed Cloud writes them to a resource
+        if (this.options.attributesPath) {
+            let route = Objects.resolvePath(this.options.attributesPath).substr(1);
+            actions.push(rpc.createResourceString(route, '', RPCClient.GET_PUT_ALLOWED, false));
+        }
 
-        // console.log(CON_PR, ID_PR, 'Setting resources');
         await Promise.all(actions);
         if (supportsUpdate) {
             await this.registerUpdateResources(vendorId, classId, updateCertificateBuffer);
         }
-        console.log(CON_PR, ID_PR, 'Setting resources OK');
+        log.debug('Setting resources OK');
 
-        console.log(CON_PR, this.ID_PR, 'Registering');
+        log.info('Registering');
         this.endpoint = await rpc.register();
-        console.log(CON_PR, this.ID_PR, 'Registered with endpoint', this.endpoint);
+        log.info('Registered', { endpoint: this.endpoint });
+
+        this.$registration = {
+            supportsUpdate: !!supportsUpdate,
+            vendorId: vendorId,
+            classId: classId,
+            updateCertificate: updateCertificateBuffer
+        };
     }
     catch (ex) {
-        console.error(CON_PR, ID_PR, 'Registering device failed', ex);
+        log.error('Registering device failed', { err: ex });
 
         if (rpc && rpc.is_open) {
             try {
                 await rpc.unregister();
-                console.log(CON_PR, ID_PR, 'Unregistered');
+                log.info('Unregistered');
             }
-            catch (ex) { console.log(CON_PR, ID_PR, 'Unregister failed', ex); }
+            catch (ex) { log.warn('Unregister failed', { err: ex }); }
             rpc.terminate();
-            console.log(CON_PR, ID_PR, 'Terminated');
+            log.debug('Terminated');
         }
 
+        this.edgeRpc.setWriteHandler(this.id, null);
+
         delete this.rpcClient;
 
-        throw 'Registration failed ' + ex;
+        throw new RegistrationError('Registration failed ' + causeMessage(ex), ex);
     }
 
+    await this.$persist();
+
     return this.endpoint;
 };
 
+/**
+ * Register the device from a record that was saved by the store (see device-store.js),
+ * with the saved resource values and firmware info.
+ * Per resource `onWrite` and `onRead` handlers are not saved, set them again through
+ * setWriteHandler() and setReadHandler().
+ * @param {object} record Device record
+ */
+MbedDevice.prototype.restore = async function(record) {
+    let lwm2m = record.lwm2m.map(l => Object.assign({}, l, {
+        value: DeviceStore.deserializeValue(l.type, l.value)
+    }));
+
+    this.$firmware = firmwareFromRecord(record);
+
+    let certificate = record.updateCertificate ? Buffer.from(record.updateCertificate, 'base64') : undefined;
+
+    return this.register(lwm2m, record.supportsUpdate, record.vendorId, record.classId, certificate);
+};
+
+/**
+ * Drop a revoked update certificate from the registration (and the record in the store),
+ * so restoring the device does not trust it again
+ * @param {string} fingerprint Fingerprint of the certificate, see TrustStore
+ */
+MbedDevice.prototype.$forgetCertificate = async function(fingerprint) {
+    let registration = this.$registration;
+    if (!registration || !registration.updateCertificate) return;
+    if (TrustStore.fingerprint(registration.updateCertificate) !== fingerprint) return;
+
+    registration.updateCertificate = undefined;
+
+    await this.$persist();
+};
+
+/**
+ * The record that is saved by the store, see device-store.js
+ */
+MbedDevice.prototype.$getState = function() {
+    let registration = this.$registration || {};
+
+    let lwm2m = Object.keys(this.resources).map(path => {
+        let res = this.resources[path];
+        let l = {};
+
+        for (let key of Object.keys(res)) {
+            if (typeof res[key] === 'function' || key === 'rpcType') continue;
+            l[key] = res[key];
+        }
+
+        // so the type does not have to be inferred again
+        if (res.rpcType) l.type = res.rpcType.toLowerCase();
+
+        if (l.pattern instanceof RegExp) l.pattern = l.pattern.source;
+
+        l.value = DeviceStore.serializeValue(l.type, res.value);
+
+        return l;
+    });
+
+    return {
+        id: this.id,
+        clientType: this.clientType,
+        lwm2m: lwm2m,
+        supportsUpdate: !!registration.supportsUpdate,
+        vendorId: registration.vendorId,
+        classId: registration.classId,
+        updateCertificate: registration.updateCertificate ?
+            Buffer.from(registration.updateCertificate).toString('base64') :
+            undefined,
+        fwName: this.$firmware.name,
+        fwVersion: this.$firmware.version,
+        fwTimestamp: this.$firmware.timestamp
+    };
+};
+
+function firmwareFromRecord(record) {
+    return {
+        name: record.fwName || '',
+        version: record.fwVersion || '',
+        timestamp: typeof record.fwTimestamp === 'number' ? record.fwTimestamp : null
+    };
+}
+
+/**
+ * Read the installed firmware of this device from the store. Failures are logged, not thrown.
+ */
+MbedDevice.prototype.$loadFirmware = async function() {
+    try {
+        let record = await DeviceStore.find(this.store, this.id);
+        if (record) this.$firmware = firmwareFromRecord(record);
+    }
+    catch (ex) {
+        this.log.warn('Loading firmware info failed', { err: ex });
+    }
+};
+
+/**
+ * Save the device in the store (if there is one). Failures are logged, not thrown.
+ */
+MbedDevice.prototype.$persist = async function() {
+    if (!this.store || !this.getRegistrationStatus()) return;
+
+    try {
+        await this.store.save(this.id, this.$getState());
+    }
+    catch (ex) {
+        this.log.warn('Saving device failed', { err: ex });
+    }
+};
+
+/**
+ * Create resources on a registered device and send them to Mbed Edge,
+ * rolls back the local model if Mbed Edge rejects them.
+ */
+MbedDevice.prototype.$addResources = async function(lwm2m) {
+    if (!this.getRegistrationStatus()) throw new RegistrationError('Device is not registered');
+
+    let existing = lwm2m.find(l => this.resources[l.path] || this.rpcClient.routes[l.path.substr(1)]);
+    if (existing) throw new ValidationError(`Resource ${existing.path} already exists`);
+
+    let routes = lwm2m.map(l => l.path.substr(1));
+
+    try {
+        await Promise.all(lwm2m.map(l => this.$createResource(l)));
+
+        try {
+            await this.rpcClient.writeRoutes(routes);
+        }
+        catch (ex) {
+            throw new RegistrationError('Adding resources failed ' + causeMessage(ex), ex);
+        }
+    }
+    catch (ex) {
+        for (let route of routes) {
+            this.rpcClient.removeRoute(route);
+        }
+        throw ex;
+    }
+
+    for (let l of lwm2m) {
+        this.$addResource(l);
+    }
+
+    await this.$persist();
+};
+
+/**
+ * Remove resources from a registered device. Mbed Edge has no call to delete resources,
+ * so the device is registered again without them (see RPCClient.removeRoutes). The local
+ * model only changes when that succeeded.
+ */
+MbedDevice.prototype.$removeResources = async function(paths) {
+    if (!this.getRegistrationStatus()) throw new RegistrationError('Device is not registered');
+
+    try {
+        await this.rpcClient.removeRoutes(paths.map(p => p.substr(1)));
+    }
+    catch (ex) {
+        throw new RegistrationError('Removing resources failed ' + causeMessage(ex), ex);
+    }
+
+    for (let path of paths) {
+        delete this.resources[path];
+    }
+
+    await this.$persist();
+};
+
+/**
+ * Add a resource to a registered device, without re-registering the device.
+ * @param {object} resource lwm2m descriptor like in register() (named descriptors work as well)
+ *                          e.g. { path: '/3303/0/5700', operation: ['GET'], type: 'float', value: 21.5 }
+ */
+MbedDevice.prototype.addResource = async function(resource) {
+    resource = Objects.resolveDescriptor(resource);
+
+    if (!resource.path) throw new ValidationError('path is required');
+
+    // we use paths with a leading slash everywhere
+    let l = Object.assign({}, resource, { path: '/' + resource.path.replace(/^\//, '') });
+
+    await this.$addResources([ l ]);
+
+    this.log.info('Added resource', { route: l.path });
+
+    return this.resources[l.path];
+};
+
+/**
+ * Remove a resource from a registered device
+ * @param {string} path Path of the resource, e.g. '/3303/0/5700' or 'temperature/0/sensorValue'
+ */
+MbedDevice.prototype.removeResource = async function(path) {
+    path = Objects.resolvePath(path);
+
+    if (!this.resources[path]) throw new ValidationError(`Resource ${path} does not exist`);
+
+    await this.$removeResources([ path ]);
+
+    this.log.info('Removed resource', { route: path });
+};
+
+/**
+ * Add an object instance to a registered device, f.e. when a sensor appears.
+ * Only the new resources are sent to Mbed Edge, the device stays registered.
+ * @param objectId Object ID (e.g. 3312) or name (e.g. 'powerControl')
+ * @param {number} instanceId Object instance ID (e.g. 12)
+ * @param {Array} resources lwm2m descriptors like in register(), but with `resourceId` (ID or name) instead of `path`
+ *                          e.g. [ { resourceId: 5850, operation: ['GET', 'PUT'], type: 'boolean', value: false } ]
+ *                          Type and operation can be left out for resources in the object registry.
+ */
+MbedDevice.prototype.addObjectInstance = async function(objectId, instanceId, resources) {
+    let lwm2m = resources.map(r => {
+        let l = Objects.resolveDescriptor(Object.assign({ object: objectId, instance: instanceId, resource: r.resourceId }, r));
+        delete l.resourceId;
+        return l;
+    });
+
+    let prefix = '/' + Objects.getObjectId(objectId) + '/' + instanceId + '/';
+    if (Object.keys(this.resources).some(p => p.indexOf(prefix) === 0)) {
+        throw new ValidationError(`Object instance ${prefix} already exists`);
+    }
+
+    await this.$addResources(lwm2m);
+
+    this.log.info('Added object instance', { route: prefix });
+};
+
+/**
+ * Remove an object instance from a registered device, f.e. when a sensor disappears.
+ * @param objectId Object ID (e.g. 3312) or name (e.g. 'powerControl')
+ * @param {number} instanceId Object instance ID (e.g. 12)
+ */
+MbedDevice.prototype.removeObjectInstance = async function(objectId, instanceId) {
+    let prefix = '/' + Objects.getObjectId(objectId) + '/' + instanceId + '/';
+    let paths = Object.keys(this.resources).filter(p => p.indexOf(prefix) === 0);
+    if (paths.length === 0) {
+        throw new ValidationError(`Object instance ${prefix} does not exist`);
+    }
+
+    await this.$removeResources(paths);
+
+    this.log.info('Removed object instance', { route: prefix });
+};
+
+/**
+ * Get a resource by path
+ * @param {string} path F.e. 'temperature/0/sensorValue' or '/3303/0/5700'
+ * @returns The resource (with `value` and `setValue`), or undefined if the device doesn't have it
+ */
+MbedDevice.prototype.get = function(path) {
+    return this.resources[Objects.resolvePath(path)];
+};
+
 MbedDevice.prototype.getRegistrationStatus = function() {
     if (this.rpcClient && this.rpcClient.is_registered) {
         return true;
@@ -349,4 +1216,6 @@ MbedDevice.prototype.getRegistrationStatus = function() {
     return false;
 };
 
+MbedDevice.RESOURCE_TYPES = RESOURCE_TYPES;
+
 module.exports = MbedDevice;
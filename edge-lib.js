@@ -18,24 +18,111 @@
  * ----------------------------------------------------------------------------
  */
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const MbedDevice = require('./device');
 const EdgeRpc = require('./edge-rpc-client');
+const Logger = require('./logger');
+const DeviceStore = require('./device-store');
+const UpdateManager = require('./update-manager');
+const TrustStore = require('./trust-store');
+const Definitions = require('./definitions');
+const errors = require('./errors');
 
-const CON_PR = '\x1b[34m[ClientService]\x1b[0m';
+/**
+ * Protocol translator that manages devices through Mbed Edge
+ * @param {string} url Websocket URL of Mbed Edge
+ * @param {string} name Name of the protocol translator
+ * @param {object} options Optional settings, passed to EdgeRpcClient. `offlineBuffer`
+ *                         and `firmware` are passed to every device (see MbedDevice), `firmware`
+ *                         also configures the update manager (see update-manager.js). `logger` takes a
+ *                         pino / bunyan / winston style logger, see logger.js. `store` takes
+ *                         a path to a JSON file or a store object to save devices in, see
+ *                         device-store.js and restoreDevices().
+ *
+ * Emits 'disconnected' when the connection to Mbed Edge drops, and 'reconnected'
+ * after the connection was restored and all devices were registered again.
+ * Emits 'update-state' (deviceId, state) when the firmware update of a device progresses,
+ * see getUpdateState().
+ */
+function RemoteClientService(url, name, options) {
+    EventEmitter.call(this);
+
+    this.options = options || {};
+
+    this.log = Logger.create(this.options);
+
+    this.store = DeviceStore.create(this.options.store);
+
+    // update certificates for all devices, see trust-store.js
+    this.trustStore = new TrustStore({ logger: this.log });
+    this.trustStore.on('revoked', fingerprint => {
+        this._onCertificateRevoked(fingerprint).catch(ex => {
+            this.log.warn('Removing revoked certificate from the store failed', { fingerprint: fingerprint, err: ex });
+        });
+    });
+
+    // downloads firmware for all devices, see update-manager.js
+    this.updates = new UpdateManager(Object.assign({}, this.options.firmware, { logger: this.log }));
+    this.updates.on('update-state', (deviceId, state) => this.emit('update-state', deviceId, state));
 
-function RemoteClientService(url, name) {
-    this.edgeRpc = new EdgeRpc(url, name);
+    // share one logger between all modules
+    this.edgeRpc = new EdgeRpc(url, name, Object.assign({}, this.options, { logger: this.log }));
 
     this.devices = [];
+
+    this.edgeRpc.on('disconnected', () => this.emit('disconnected'));
+    this.edgeRpc.on('reconnected', this._onReconnected.bind(this));
 }
 
-RemoteClientService.prototype.init = async function() {
-    return this.edgeRpc.init();
+RemoteClientService.prototype = Object.create(EventEmitter.prototype);
+
+/**
+ * Connect to Mbed Edge
+ * @param {object} options Optional settings, f.e. `signal` to abort connecting (see EdgeRpcClient.init)
+ */
+RemoteClientService.prototype.init = async function(options) {
+    return this.edgeRpc.init(options);
+};
+
+/**
+ * Revocations are not saved, so remove the certificate from the devices and their records
+ * in the store, otherwise restoreDevices() trusts it again after a restart.
+ */
+RemoteClientService.prototype._onCertificateRevoked = async function(fingerprint) {
+    await Promise.all(this.devices.map(d => d.$forgetCertificate(fingerprint)));
+
+    if (!this.store) return;
+
+    // devices that were not restored (yet)
+    for (let record of await this.store.load()) {
+        if (!record.updateCertificate) continue;
+        if (TrustStore.fingerprint(Buffer.from(record.updateCertificate, 'base64')) !== fingerprint) continue;
+
+        await this.store.save(record.id, Object.assign({}, record, { updateCertificate: undefined }));
+    }
+};
+
+/**
+ * Mbed Edge forgets about the protocol translator and all its devices when
+ * the connection drops, so replay the registration for every device.
+ */
+RemoteClientService.prototype._onReconnected = async function() {
+    await Promise.all(this.devices.map(async d => {
+        try {
+            await d.reregister();
+        }
+        catch (ex) {
+            this.log.error('Re-registering device failed', { deviceId: d.id, err: ex });
+        }
+    }));
+
+    this.emit('reconnected');
 };
 
 RemoteClientService.prototype.deinit = async function() {
     await Promise.all(this.devices.map(d => d.deregister()));
+    await this.updates.close();
     return this.edgeRpc.deinit();
 };
 
@@ -65,22 +152,37 @@ RemoteClientService.prototype.getEndpointForId = function(id) {
  * Gets the device from the bridge (or from cache if already loaded).
  * Returns an MbedDevice object.
  */
-RemoteClientService.prototype.getDevice = async function(id, clientType) {
+RemoteClientService.prototype.getDevice = async function(id, clientType, options) {
     let device = this.devices.filter(d => d.id === id)[0];
 
     if (!device) {
-        return this.createCloudDevice(id, clientType);
+        return this.createCloudDevice(id, clientType, options);
     }
     return device;
 };
 
-RemoteClientService.prototype.createCloudDevice = async function(id, clientType) {
+/**
+ * Create a new device
+ * @param {string} id Device ID
+ * @param {string} clientType
+ * @param {object} options Optional settings for this device, see MbedDevice. Defaults
+ *                         to the settings passed to the service. Firmware is downloaded with the
+ *                         `firmware` options of the service, only `firmware.deliver` can differ.
+ */
+RemoteClientService.prototype.createCloudDevice = async function(id, clientType, options) {
     let sshClient, rpcClient;
 
     const ID_PR = '[' + id + ']';
 
     try {
-        let device = new MbedDevice(id, clientType, this.edgeRpc);
+        let device = new MbedDevice(id, clientType, this.edgeRpc, Object.assign({
+            offlineBuffer: this.options.offlineBuffer,
+            firmware: this.options.firmware,
+            updateManager: this.updates,
+            trustStore: this.trustStore,
+            store: this.store,
+            logger: this.log
+        }, options));
 
         this.devices.push(device);
 
@@ -93,16 +195,104 @@ RemoteClientService.prototype.createCloudDevice = async function(id, clientType)
     }
 };
 
+/**
+ * Create and register devices from declarative definitions, see definitions.js for the format.
+ * Devices that are already registered are left alone.
+ * @param pathOrObject Path to a JSON or YAML file, or the definitions as object
+ * @returns Array of MbedDevice objects, in the order of the definitions
+ */
+RemoteClientService.prototype.loadDefinitions = async function(pathOrObject) {
+    let definitions = await Definitions.load(pathOrObject);
+
+    let devices = [];
+
+    for (let d of definitions) {
+        let device = await this.getDevice(d.id, d.clientType);
+
+        if (!device.getRegistrationStatus()) {
+            await device.register(d.lwm2m, d.supportsUpdate, d.vendorId, d.classId, d.updateCertificate);
+        }
+
+        devices.push(device);
+    }
+
+    return devices;
+};
+
+/**
+ * Register all devices that were saved in the store, f.e. after the protocol translator
+ * restarted. Devices that fail to register are logged and skipped (but stay in the store).
+ * @returns Array of MbedDevice objects that were restored
+ */
+RemoteClientService.prototype.restoreDevices = async function() {
+    if (!this.store) throw new errors.ValidationError('No store configured, pass the `store` option');
+
+    let restored = [];
+
+    for (let record of await this.store.load()) {
+        let device = await this.getDevice(record.id, record.clientType);
+
+        if (device.getRegistrationStatus()) {
+            restored.push(device);
+            continue;
+        }
+
+        try {
+            await device.restore(record);
+            this.log.info('Restored device', { deviceId: record.id });
+            restored.push(device);
+        }
+        catch (ex) {
+            this.log.error('Restoring device failed', { deviceId: record.id, err: ex });
+
+            let ix = this.devices.indexOf(device);
+            if (ix > -1) this.devices.splice(ix, 1);
+        }
+    }
+
+    return restored;
+};
+
+/**
+ * Deregister a device and remove it from the store
+ */
 RemoteClientService.prototype.deleteDevice = async function(id) {
     let device = this.devices.find(d => d.id === id);
     if (device) {
         await device.deregister();
     }
 
+    if (this.store) {
+        await this.store.remove(id);
+    }
+
+    this.updates.remove(id);
+
     let cacheIx = this.devices.findIndex(d => d.id === id);
     if (cacheIx > -1) {
         this.devices.splice(cacheIx, 1);
     }
 };
 
+/**
+ * Firmware update state of a device
+ * @returns { state, hash, error, updatedAt }, state is one of 'queued', 'downloading', 'applying',
+ *          'success' or 'failed'. Null if the device did not get an update.
+ */
+RemoteClientService.prototype.getUpdateState = function(id) {
+    return this.updates.getState(id);
+};
+
+/**
+ * Firmware update state of all devices, as object with device IDs as keys
+ */
+RemoteClientService.prototype.getUpdateStates = function() {
+    return this.updates.getStates();
+};
+
+// error classes, so applications can do `ex instanceof Edge.TimeoutError`
+Object.keys(errors).filter(k => k !== 'causeMessage').forEach(k => {
+    RemoteClientService[k] = errors[k];
+});
+
 module.exports = RemoteClientService;
@@ -22,23 +22,89 @@ const EventEmitter = require('events');
 const promisify = require('es6-promisify');
 const JsonRpcWs = require('json-rpc-ws');
 const util = require('util');
-
-const CON_PR = '\x1b[34m[ClientService]\x1b[0m';
+const Logger = require('./logger');
+const { ConnectionError, TimeoutError, JsonRpcError, ValidationError } = require('./errors');
 
 function wait(ms) {
     return new Promise((res, rej) => setTimeout(res, ms));
 }
 
-function EdgeRpcClient(url, name) {
+/**
+ * Exponential backoff, `jitter` is the fraction of the delay that is randomly taken off
+ */
+function backoff(attempt, delay, maxDelay, jitter) {
+    let d = Math.min(delay * Math.pow(2, attempt), maxDelay);
+
+    return Math.round(d * (1 - (jitter || 0) * Math.random()));
+}
+
+function isRetryable(err) {
+    return err instanceof TimeoutError || err instanceof ConnectionError;
+}
+
+/**
+ * Client for the Mbed Edge protocol translator API
+ * @param {string} url Websocket URL of Mbed Edge (e.g. 'ws+unix:///tmp/edge.sock:')
+ * @param {string} name Name of the protocol translator
+ * @param {object} options Optional settings
+ *   - reconnect: reconnect when the connection to Mbed Edge drops (default: true)
+ *   - reconnectDelay: initial delay between reconnect attempts in ms (default: 1000)
+ *   - maxReconnectDelay: upper bound for the reconnect delay in ms (default: 30000)
+ *   - connectAttempts: give up init() after this many failed connection attempts (default: no limit)
+ *   - connectTimeout: give up init() when not connected after this many ms (default: no limit)
+ *   - timeout: time in ms to wait for an answer from Mbed Edge (default: 10000)
+ *   - timeouts: per method timeouts, f.e. { device_register: 30000 }
+ *   - retry: retry policy for idempotent calls that time out or lose their connection,
+ *     { attempts: 3, delay: 100, maxDelay: 2000, jitter: 0.5, methods: [ 'device_register', 'write' ] }.
+ *     Pass false to disable.
+ *   - writeCoalesceWindow: batch resource writes that happen within this many ms into one
+ *     'write' per device. 0 batches writes made in the same tick. (default: disabled)
+ *     Writes to different devices still take one 'write' each, Mbed Edge has no call for several devices.
+ *   - logger, logLevel: see logger.js
+ */
+function EdgeRpcClient(url, name, options) {
     EventEmitter.call(this);
 
+    // every device and every route subscribes to resource events
+    this.setMaxListeners(0);
+
+    options = options || {};
+
     this.url = url;
     this.apiPath = '/1/pt';
     this.name = name;
 
+    this.log = Logger.create(options);
+
+    this.reconnect = options.reconnect !== false;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.connectAttempts = options.connectAttempts || Infinity;
+    this.connectTimeout = options.connectTimeout || 0;
+    this.timeout = options.timeout || 10000;
+    this.timeouts = options.timeouts || {};
+    this.retry = Object.assign({
+        attempts: 3,
+        delay: 100,
+        maxDelay: 2000,
+        jitter: 0.5,
+        methods: [ 'device_register', 'write' ]
+    }, options.retry === false ? { attempts: 1 } : options.retry);
+    this.writeCoalesceWindow = typeof options.writeCoalesceWindow === 'number' ? options.writeCoalesceWindow : -1;
+
     this._is_open = false;
+    this._closing = false;
+    this._reconnecting = false;
+    this._pending = new Set();
+    this._cancelWait = null;
+    // device id => async function(route, value), see setWriteHandler()
+    this._writeHandlers = {};
+    // device id => { routes, getObjects, waiters }, see queueWrite()
+    this._writeQueue = {};
+    this._writeFlushScheduled = false;
 
     this.client = JsonRpcWs.createClient();
+    this.client.expose('write', this._onData.bind(this));
 }
 
 EdgeRpcClient.prototype = Object.create(EventEmitter.prototype);
@@ -47,21 +113,164 @@ EdgeRpcClient.prototype.is_open = function() {
     return this._is_open;
 };
 
+/**
+ * Call a method on Mbed Edge. Methods in the retry policy are retried with backoff when
+ * they time out or the connection drops, as long as we're connected or reconnecting.
+ * @returns Promise that holds the result
+ */
 EdgeRpcClient.prototype.sendJsonRpc = async function(method, params) {
+    let attempts = this.retry.methods.indexOf(method) > -1 ? this.retry.attempts : 1;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await this._send(method, params);
+        }
+        catch (ex) {
+            if (attempt + 1 >= attempts || !isRetryable(ex) || !this._canRetry()) throw ex;
+
+            let delay = backoff(attempt, this.retry.delay, this.retry.maxDelay, this.retry.jitter);
+            this.log.info('Retrying JSON-RPC call', {
+                deviceId: params && params.deviceId,
+                method: method,
+                attempt: attempt + 1,
+                delay: delay,
+                err: ex
+            });
+            await wait(delay);
+
+            if (!this._canRetry()) throw ex;
+        }
+    }
+};
+
+EdgeRpcClient.prototype._canRetry = function() {
+    return !this._closing && (this.client.isConnected() || this._reconnecting);
+};
+
+EdgeRpcClient.prototype._send = function(method, params) {
+    if (!this.client.isConnected()) return Promise.reject(new ConnectionError('RPC Channel is closed'));
+
+    let start = Date.now();
+    let ms = this.timeouts[method] || this.timeout;
+
     return new Promise((resolve, reject) => {
+        let done = () => {
+            clearTimeout(timeout);
+            this._pending.delete(pending);
+        };
+
         let timeout = setTimeout(() => {
-            reject('Timeout');
-        }, 10000);
+            done();
+            reject(new TimeoutError(`Timeout while calling '${method}'`, method, ms));
+        }, ms);
+
+        // so we can fail the request straight away when the connection drops
+        let pending = {
+            reject: err => {
+                done();
+                reject(err);
+            }
+        };
+        this._pending.add(pending);
 
         this.client.send(method, params, (err, response) => {
-            clearTimeout(timeout);
+            done();
 
-            if (err) return reject(err);
+            this.log.debug('JSON-RPC call', {
+                deviceId: params && params.deviceId,
+                method: method,
+                duration: Date.now() - start,
+                err: err || undefined
+            });
+
+            if (err) return reject(JsonRpcError.from(err, method));
 
             resolve(response);
         });
     });
-}
+};
+
+/**
+ * Set a handler that is called before a write from Mbed Edge is applied to a device.
+ * The handler is called with (route, value) where value is a Buffer, and can return a
+ * (transformed) Buffer, or throw to reject the write. A rejection is sent back to
+ * Mbed Edge as JSON-RPC error, and no 'resource-updated' event is emitted.
+ * @param {string} deviceId
+ * @param {function} handler Async function, pass null to remove the handler
+ */
+EdgeRpcClient.prototype.setWriteHandler = function(deviceId, handler) {
+    if (handler) {
+        this._writeHandlers[deviceId] = handler;
+    }
+    else {
+        delete this._writeHandlers[deviceId];
+    }
+};
+
+/**
+ * Write resource values for a device to Mbed Edge. When `writeCoalesceWindow` is set, writes
+ * are collected and sent as one 'write' per device when the window closes.
+ * @param {string} deviceId
+ * @param {string[]} routes Routes that changed
+ * @param {function} getObjects Called with all changed routes at send time, returns the object model to send
+ * @returns Promise that settles with the result of the 'write' that carried the routes
+ */
+EdgeRpcClient.prototype.queueWrite = function(deviceId, routes, getObjects) {
+    if (this.writeCoalesceWindow < 0) {
+        return this.sendJsonRpc('write', {
+            'deviceId': deviceId,
+            'objects': getObjects(routes)
+        });
+    }
+
+    let entry = this._writeQueue[deviceId];
+    if (!entry) {
+        entry = this._writeQueue[deviceId] = { routes: new Set(), getObjects: getObjects, waiters: [] };
+    }
+
+    for (let route of routes) {
+        entry.routes.add(route);
+    }
+
+    let promise = new Promise((resolve, reject) => {
+        entry.waiters.push({ resolve: resolve, reject: reject });
+    });
+
+    if (!this._writeFlushScheduled) {
+        this._writeFlushScheduled = true;
+
+        if (this.writeCoalesceWindow === 0) {
+            setImmediate(() => this._flushWrites());
+        }
+        else {
+            setTimeout(() => this._flushWrites(), this.writeCoalesceWindow);
+        }
+    }
+
+    return promise;
+};
+
+EdgeRpcClient.prototype._flushWrites = function() {
+    let queue = this._writeQueue;
+
+    this._writeQueue = {};
+    this._writeFlushScheduled = false;
+
+    for (let deviceId of Object.keys(queue)) {
+        let entry = queue[deviceId];
+        let objects = entry.getObjects(Array.from(entry.routes));
+
+        let write = objects.length === 0 ?
+            Promise.resolve('ok') :
+            this.sendJsonRpc('write', { 'deviceId': deviceId, 'objects': objects });
+
+        write.then(res => {
+            for (let w of entry.waiters) w.resolve(res);
+        }, err => {
+            for (let w of entry.waiters) w.reject(err);
+        });
+    }
+};
 
 EdgeRpcClient.prototype._onData = async function(params, response) {
     let value = Buffer.from(params.value, 'base64');
@@ -70,47 +279,121 @@ EdgeRpcClient.prototype._onData = async function(params, response) {
     let deviceId = params.uri.deviceId;
 
     if (params.operation === 2) {
+        let handler = this._writeHandlers[deviceId];
+        if (handler) {
+            try {
+                value = await handler(route, value);
+            }
+            catch (ex) {
+                this.log.info('Write was rejected', { deviceId: deviceId, route: route, err: ex });
+                return response(toJsonRpcError(ex));
+            }
+        }
+
         this.emit('resource-updated', deviceId, route, value);
     }
     else if (params.operation === 4) {
         this.emit('resource-executed', deviceId, route, value);
     }
     else {
-        console.log(CON_PR, 'Unknown "write" operation', params);
+        this.log.warn('Unknown "write" operation', { deviceId: deviceId, route: route, operation: params.operation });
     }
 
     response(null, 'ok');
 };
 
-EdgeRpcClient.prototype.init = async function(tryIx) {
-    tryIx = tryIx || 0;
+/**
+ * Connect to Mbed Edge and register the protocol translator. Connecting is retried with
+ * backoff until `connectAttempts` or `connectTimeout` runs out.
+ * @param {object} options Optional settings
+ *   - signal: AbortSignal to stop connecting, f.e. when the application shuts down
+ */
+EdgeRpcClient.prototype.init = async function(options) {
+    options = options || {};
+
+    let signal = options.signal;
+    let url = this.url + this.apiPath;
+    let deadline = this.connectTimeout ? Date.now() + this.connectTimeout : Infinity;
+
+    this._closing = false;
+
+    let onAbort = () => {
+        if (this._cancelWait) this._cancelWait();
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    let checkCancelled = () => {
+        if (signal && signal.aborted) {
+            throw new ConnectionError('Connecting to Mbed Edge was aborted', signal.reason);
+        }
+        if (this._closing) {
+            throw new ConnectionError('Connecting to Mbed Edge was cancelled by deinit()');
+        }
+    };
 
     try {
-        let url = this.url + this.apiPath;
-        console.log(CON_PR, 'Connecting to Mbed Edge on ' + url, `(try: ${++tryIx})`);
-        await this.connect();
-    }
-    catch (ex) {
-        if (ex.code !== 'ECONNREFUSED') {
-            console.log(CON_PR, 'Failed to connect to Mbed Edge, but not ECONNREFUSED...', ex);
+        for (let attempt = 0; ; attempt++) {
+            checkCancelled();
+
+            try {
+                this.log.info('Connecting to Mbed Edge', { url: url, try: attempt + 1 });
+                await this.connect();
+                break;
+            }
+            catch (ex) {
+                if (ex.code !== 'ECONNREFUSED') {
+                    this.log.warn('Failed to connect to Mbed Edge, but not ECONNREFUSED...', { err: ex });
+                }
+
+                if (attempt + 1 >= this.connectAttempts) {
+                    throw new ConnectionError(`Could not connect to Mbed Edge at ${url} after ${attempt + 1} attempts`, ex);
+                }
+                if (Date.now() >= deadline) {
+                    throw new ConnectionError(`Could not connect to Mbed Edge at ${url} within ${this.connectTimeout} ms`, ex);
+                }
+            }
+
+            let delay = backoff(attempt, this.reconnectDelay, this.maxReconnectDelay);
+            await this._wait(Math.min(delay, deadline - Date.now()));
         }
 
-        // try again in a second
-        await wait(1000);
-        return this.init(tryIx);
+        if ((signal && signal.aborted) || this._closing) {
+            await this.deinit();
+            checkCancelled();
+        }
+    }
+    finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
     }
 
-    this.client.expose('write', this._onData.bind(this));
+    this.log.info('Connected to Mbed Edge');
 
-    console.log(CON_PR, 'Connected to Mbed Edge');
+    await this._registerTranslator();
 
-    // ok... so let's see what we can do now
-    console.log(CON_PR, 'Registering protocol translator', this.name);
+    this.log.info('Mbed Edge initialized');
+};
+
+/**
+ * Wait that is cut short by deinit()
+ */
+EdgeRpcClient.prototype._wait = function(ms) {
+    return new Promise(res => {
+        let timer;
+        let done = () => {
+            clearTimeout(timer);
+            this._cancelWait = null;
+            res();
+        };
+        timer = setTimeout(done, ms);
+        this._cancelWait = done;
+    });
+};
+
+EdgeRpcClient.prototype._registerTranslator = async function() {
+    this.log.info('Registering protocol translator', { name: this.name });
     await this.sendJsonRpc('protocol_translator_register', { name: this.name });
 
     this._is_open = true;
-
-    console.log(CON_PR, 'Mbed Edge initialized');
 };
 
 EdgeRpcClient.prototype.connect = function() {
@@ -119,17 +402,89 @@ EdgeRpcClient.prototype.connect = function() {
         this.client.connect(url, (err, reply) => {
             if (err) return reject(err);
 
+            this.client.socket.once('close', this._onClose.bind(this));
+
             resolve();
         });
     });
 };
 
+/**
+ * Called when the websocket to Mbed Edge closes. Fails all outstanding requests
+ * and, unless we're shutting down, starts reconnecting.
+ */
+EdgeRpcClient.prototype._onClose = function() {
+    let wasOpen = this._is_open;
+
+    this._is_open = false;
+
+    for (let pending of Array.from(this._pending)) {
+        pending.reject(new ConnectionError('Connection to Mbed Edge lost'));
+    }
+
+    if (this._closing || this._reconnecting) return;
+
+    this.log.warn('Connection to Mbed Edge lost');
+
+    if (wasOpen) {
+        this.emit('disconnected');
+    }
+
+    if (this.reconnect) {
+        this._reconnect();
+    }
+};
+
+EdgeRpcClient.prototype._reconnect = async function() {
+    this._reconnecting = true;
+
+    let delay = this.reconnectDelay;
+    let tryIx = 0;
+
+    while (!this._closing) {
+        await this._wait(delay);
+        if (this._closing) break;
+
+        delay = Math.min(delay * 2, this.maxReconnectDelay);
+
+        try {
+            this.log.info('Reconnecting to Mbed Edge', { url: this.url + this.apiPath, try: ++tryIx });
+            if (!this.client.isConnected()) {
+                await this.connect();
+            }
+            await this._registerTranslator();
+        }
+        catch (ex) {
+            this.log.warn('Reconnecting to Mbed Edge failed', { err: ex });
+            continue;
+        }
+
+        this._reconnecting = false;
+
+        this.log.info('Reconnected to Mbed Edge');
+        this.emit('reconnected');
+        return;
+    }
+
+    this._reconnecting = false;
+};
+
 EdgeRpcClient.prototype.deinit = async function() {
+    this._closing = true;
+    this._is_open = false;
+
+    if (this._cancelWait) {
+        this._cancelWait();
+    }
+
+    if (!this.client.isConnected()) return;
+
     return new Promise((resolve, reject) => {
-        this.client.disconnect((err, response) => {
-            if (err) return reject(err);
+        // called with an Error on 'error', or with the close code on 'close'
+        this.client.disconnect((err) => {
+            if (err instanceof Error) return reject(err);
 
-            resolve(response);
+            resolve();
         });
     });
 };
@@ -140,4 +495,19 @@ EdgeRpcClient.prototype.wait = async function(ms) {
     });
 };
 
+/**
+ * Turn anything thrown by a write handler into a JSON-RPC error object
+ */
+function toJsonRpcError(ex) {
+    if (ex && typeof ex.code === 'number') {
+        return { code: ex.code, message: ex.message || String(ex), data: ex.data };
+    }
+
+    if (ex instanceof ValidationError) {
+        return { code: -32602, message: ex.message, data: ex.constraint };
+    }
+
+    return { code: -32000, message: ex instanceof Error ? ex.message : String(ex) };
+}
+
 module.exports = EdgeRpcClient;
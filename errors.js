@@ -0,0 +1,131 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Errors thrown by Mbed Edge.js. All of them inherit from EdgeError, and carry the
+ * error that caused them (if any) in `cause`.
+ */
+
+const util = require('util');
+
+function causeMessage(cause) {
+    if (cause instanceof Error) return cause.message;
+    if (cause && typeof cause.message === 'string') return cause.message;
+    return String(cause);
+}
+
+/**
+ * @param {string} message
+ * @param {*} cause Original error
+ */
+function EdgeError(message, cause) {
+    Error.captureStackTrace(this, this.constructor);
+
+    this.message = message;
+
+    if (typeof cause !== 'undefined') {
+        this.cause = cause;
+    }
+}
+util.inherits(EdgeError, Error);
+EdgeError.prototype.name = 'EdgeError';
+
+/**
+ * Create a subclass of EdgeError. Without `init` the constructor takes (message, cause),
+ * with `init` it takes (message, ...) and `init` sets the other fields.
+ */
+function define(name, init) {
+    let ctor = function(message) {
+        if (init) {
+            EdgeError.call(this, message);
+            init.apply(this, arguments);
+        }
+        else {
+            EdgeError.apply(this, arguments);
+        }
+    };
+    Object.defineProperty(ctor, 'name', { value: name });
+    util.inherits(ctor, EdgeError);
+    ctor.prototype.name = name;
+    return ctor;
+}
+
+/**
+ * Mbed Edge is unreachable, or the connection dropped while a request was pending
+ */
+const ConnectionError = define('ConnectionError');
+
+/**
+ * Mbed Edge did not answer a request in time
+ * (message, method, timeout) - method is the JSON-RPC method, timeout in ms
+ */
+const TimeoutError = define('TimeoutError', function(message, method, timeout) {
+    this.method = method;
+    this.timeout = timeout;
+});
+
+/**
+ * Mbed Edge answered a request with a JSON-RPC error
+ * (message, code, data, method)
+ */
+const JsonRpcError = define('JsonRpcError', function(message, code, data, method) {
+    this.code = code;
+    this.data = data;
+    this.method = method;
+});
+
+/**
+ * Invalid input, f.e. a malformed route, an unknown resource type or a value out of range
+ */
+const ValidationError = define('ValidationError');
+
+/**
+ * Registering (or changing the registration of) a device failed
+ */
+const RegistrationError = define('RegistrationError');
+
+/**
+ * A firmware manifest could not be parsed, or did not pass verification
+ */
+const ManifestVerificationError = define('ManifestVerificationError');
+
+/**
+ * Downloading firmware failed, or the firmware did not match the manifest
+ */
+const FirmwareDownloadError = define('FirmwareDownloadError');
+
+/**
+ * Wrap a JSON-RPC error object as returned by json-rpc-ws
+ */
+JsonRpcError.from = function(err, method) {
+    return new JsonRpcError(err.message || String(err), err.code, err.data, method);
+};
+
+module.exports = {
+    EdgeError: EdgeError,
+    ConnectionError: ConnectionError,
+    TimeoutError: TimeoutError,
+    JsonRpcError: JsonRpcError,
+    ValidationError: ValidationError,
+    RegistrationError: RegistrationError,
+    ManifestVerificationError: ManifestVerificationError,
+    FirmwareDownloadError: FirmwareDownloadError,
+    causeMessage: causeMessage
+};
@@ -45,6 +45,7 @@ const Edge = require('../');
             {
                 path: '/3321/0/5501',
                 operation: ['GET', 'PUT'],
+                type: 'int',
                 value: 1
             }
         ], false /* supports update */);
@@ -53,6 +54,7 @@ const Edge = require('../');
             {
                 path: '/4001/0/5901',
                 operation: ['GET', 'PUT'],
+                type: 'int',
                 value: 100
             },
             {
@@ -0,0 +1,167 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Logging for all modules. Messages go either to a logger that the application passes in,
+ * or to the console.
+ *
+ * Application loggers are called as:
+ *   - logger[level](fields, message) for pino / bunyan style loggers (default)
+ *   - logger[level](message, fields) for winston style loggers (detected by their add() method)
+ *
+ * The console logger only prints messages at or above `logLevel` (default 'info', or the
+ * MBED_EDGE_JS_LOG_LEVEL environment variable), and only uses colors when writing to
+ * a TTY and NO_COLOR is not set.
+ */
+
+const util = require('util');
+const { ValidationError } = require('./errors');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const PREFIX = '[ClientService]';
+
+/**
+ * @param target Application logger, or null to log to the console
+ * @param {string} level Minimum level for the console logger
+ * @param {object} fields Fields that are added to every message
+ */
+function Logger(target, level, fields) {
+    this.target = target;
+    this.level = level;
+    this.fields = fields || {};
+
+    if (!LEVELS[level]) {
+        throw new ValidationError(`Unknown log level '${level}', should be one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    this.winstonStyle = !!target && typeof target.add === 'function' && typeof target.log === 'function';
+}
+
+/**
+ * Logger that adds `fields` to every message, f.e. { deviceId: 'abc' }
+ */
+Logger.prototype.child = function(fields) {
+    return new Logger(this.target, this.level, Object.assign({}, this.fields, fields));
+};
+
+Logger.prototype.isLevelEnabled = function(level) {
+    if (this.target) return true;
+
+    return LEVELS[level] >= LEVELS[this.level];
+};
+
+Logger.prototype._log = function(level, message, fields) {
+    fields = Object.assign({}, this.fields, fields);
+
+    if (this.target) {
+        let fn = typeof this.target[level] === 'function' ? level : 'info';
+
+        if (this.winstonStyle) {
+            this.target[fn](message, fields);
+        }
+        else {
+            this.target[fn](fields, message);
+        }
+        return;
+    }
+
+    if (!this.isLevelEnabled(level)) return;
+
+    let stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(formatLine(level, message, fields, useColor(stream)) + '\n');
+};
+
+Logger.prototype.debug = function(message, fields) {
+    this._log('debug', message, fields);
+};
+
+Logger.prototype.info = function(message, fields) {
+    this._log('info', message, fields);
+};
+
+Logger.prototype.warn = function(message, fields) {
+    this._log('warn', message, fields);
+};
+
+Logger.prototype.error = function(message, fields) {
+    this._log('error', message, fields);
+};
+
+function useColor(stream) {
+    return !!stream.isTTY && !('NO_COLOR' in process.env);
+}
+
+function formatValue(v) {
+    if (v instanceof Error) return v.stack || v.message;
+    if (typeof v === 'string') return /\s/.test(v) ? JSON.stringify(v) : v;
+
+    return util.inspect(v, { depth: 4, breakLength: Infinity });
+}
+
+function formatLine(level, message, fields, color) {
+    let line = color ? '\x1b[34m' + PREFIX + '\x1b[0m' : PREFIX;
+
+    if (level !== 'info') {
+        line += ' ' + level.toUpperCase();
+    }
+
+    if (fields.deviceId) {
+        line += ' [' + fields.deviceId + ']';
+    }
+
+    line += ' ' + message;
+
+    for (let key of Object.keys(fields)) {
+        if (key === 'deviceId' || typeof fields[key] === 'undefined') continue;
+
+        line += ' ' + key + '=' + formatValue(fields[key]);
+    }
+
+    return line;
+}
+
+/**
+ * Get the logger for a module
+ * @param {object} options Options passed to the module
+ *   - logger: application logger, or a Logger that is shared between modules
+ *   - logLevel: minimum level for the console logger
+ */
+function create(options) {
+    options = options || {};
+
+    if (options.logger instanceof Logger) return options.logger;
+
+    let level = options.logLevel || process.env.MBED_EDGE_JS_LOG_LEVEL || 'info';
+
+    return new Logger(options.logger || null, level);
+}
+
+module.exports = {
+    Logger: Logger,
+    LEVELS: LEVELS,
+    create: create
+};
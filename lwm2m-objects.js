@@ -0,0 +1,307 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Registry of the standard OMA LwM2M and IPSO Smart Objects, so resources can be
+ * addressed by name (f.e. 'temperature/0/sensorValue' instead of '3303/0/5700').
+ *
+ * Every object has an id, a name and a key (camelCase name that is used in paths),
+ * and its resources have an id, name, key, type, operations (as in the lwm2m descriptors
+ * passed to MbedDevice.register) and optionally a range [ min, max ] and units.
+ */
+
+const { ValidationError } = require('./errors');
+
+const R = [ 'GET' ];
+const RW = [ 'GET', 'PUT' ];
+const W = [ 'PUT' ];
+const E = [ 'POST' ];
+
+function res(id, key, name, type, operation, extra) {
+    return Object.assign({ id: id, key: key, name: name, type: type, operation: operation }, extra);
+}
+
+// resources that are shared between IPSO objects
+const IPSO = {
+    digitalInputState:      res(5500, 'digitalInputState', 'Digital Input State', 'boolean', R),
+    digitalInputCounter:    res(5501, 'digitalInputCounter', 'Digital Input Counter', 'int', R),
+    counterReset:           res(5505, 'counterReset', 'Digital Input Counter Reset', null, E),
+    digitalOutputState:     res(5550, 'digitalOutputState', 'Digital Output State', 'boolean', RW),
+    analogInputValue:       res(5600, 'analogInputValue', 'Analog Input Current Value', 'float', R),
+    minMeasuredValue:       res(5601, 'minMeasuredValue', 'Min Measured Value', 'float', R),
+    maxMeasuredValue:       res(5602, 'maxMeasuredValue', 'Max Measured Value', 'float', R),
+    minRangeValue:          res(5603, 'minRangeValue', 'Min Range Value', 'float', R),
+    maxRangeValue:          res(5604, 'maxRangeValue', 'Max Range Value', 'float', R),
+    resetMinMax:            res(5605, 'resetMinMax', 'Reset Min and Max Measured Values', null, E),
+    analogOutputValue:      res(5650, 'analogOutputValue', 'Analog Output Current Value', 'float', RW),
+    sensorValue:            res(5700, 'sensorValue', 'Sensor Value', 'float', R),
+    sensorUnits:            res(5701, 'sensorUnits', 'Sensor Units', 'string', R),
+    colour:                 res(5706, 'colour', 'Colour', 'string', RW),
+    applicationType:        res(5750, 'applicationType', 'Application Type', 'string', RW),
+    cumulativeActivePower:  res(5805, 'cumulativeActivePower', 'Cumulative Active Power', 'float', R, { units: 'Wh' }),
+    powerFactor:            res(5820, 'powerFactor', 'Power Factor', 'float', R),
+    onOff:                  res(5850, 'onOff', 'On/Off', 'boolean', RW),
+    dimmer:                 res(5851, 'dimmer', 'Dimmer', 'int', RW, { range: [ 0, 100 ], units: '%' }),
+    onTime:                 res(5852, 'onTime', 'On Time', 'int', RW, { units: 's' }),
+    offTime:                res(5854, 'offTime', 'Off Time', 'int', RW, { units: 's' }),
+    setPointValue:          res(5900, 'setPointValue', 'Set Point Value', 'float', RW),
+    text:                   res(5527, 'text', 'Text', 'string', RW),
+    xCoordinate:            res(5528, 'xCoordinate', 'X Coordinate', 'int', RW),
+    yCoordinate:            res(5529, 'yCoordinate', 'Y Coordinate', 'int', RW),
+    clearDisplay:           res(5530, 'clearDisplay', 'Clear Display', null, E),
+    contrast:               res(5531, 'contrast', 'Contrast', 'int', RW, { range: [ 0, 100 ], units: '%' }),
+    maxXCoordinate:         res(5545, 'maxXCoordinate', 'Max X Coordinate', 'int', R),
+    maxYCoordinate:         res(5546, 'maxYCoordinate', 'Max Y Coordinate', 'int', R),
+    level:                  res(5548, 'level', 'Level', 'int', RW, { range: [ 0, 100 ], units: '%' })
+};
+
+function sensor(units) {
+    return [
+        Object.assign({}, IPSO.sensorValue, units ? { units: units } : {}),
+        IPSO.sensorUnits, IPSO.minMeasuredValue, IPSO.maxMeasuredValue,
+        IPSO.minRangeValue, IPSO.maxRangeValue, IPSO.resetMinMax, IPSO.applicationType
+    ];
+}
+
+function obj(id, key, name, resources) {
+    return { id: id, key: key, name: name, resources: resources };
+}
+
+const OBJECTS = [
+    obj(3, 'device', 'Device', [
+        res(0, 'manufacturer', 'Manufacturer', 'string', R),
+        res(1, 'modelNumber', 'Model Number', 'string', R),
+        res(2, 'serialNumber', 'Serial Number', 'string', R),
+        res(3, 'firmwareVersion', 'Firmware Version', 'string', R),
+        res(4, 'reboot', 'Reboot', null, E),
+        res(5, 'factoryReset', 'Factory Reset', null, E),
+        res(9, 'batteryLevel', 'Battery Level', 'int', R, { range: [ 0, 100 ], units: '%' }),
+        res(10, 'memoryFree', 'Memory Free', 'int', R, { units: 'KB' }),
+        res(11, 'errorCode', 'Error Code', 'int', R, { range: [ 0, 8 ] }),
+        res(13, 'currentTime', 'Current Time', 'time', RW),
+        res(14, 'utcOffset', 'UTC Offset', 'string', RW),
+        res(15, 'timezone', 'Timezone', 'string', RW),
+        res(16, 'supportedBindingModes', 'Supported Binding and Modes', 'string', R),
+        res(17, 'deviceType', 'Device Type', 'string', R),
+        res(18, 'hardwareVersion', 'Hardware Version', 'string', R),
+        res(19, 'softwareVersion', 'Software Version', 'string', R),
+        res(20, 'batteryStatus', 'Battery Status', 'int', R, { range: [ 0, 6 ] }),
+        res(21, 'memoryTotal', 'Memory Total', 'int', R, { units: 'KB' })
+    ]),
+    obj(5, 'firmwareUpdate', 'Firmware Update', [
+        res(0, 'package', 'Package', 'opaque', W),
+        res(1, 'packageUri', 'Package URI', 'string', W),
+        res(2, 'update', 'Update', null, E),
+        res(3, 'state', 'State', 'int', R, { range: [ 0, 3 ] }),
+        res(5, 'updateResult', 'Update Result', 'int', R, { range: [ 0, 9 ] }),
+        res(6, 'pkgName', 'PkgName', 'string', R),
+        res(7, 'pkgVersion', 'PkgVersion', 'string', R)
+    ]),
+    obj(3200, 'digitalInput', 'Digital Input', [
+        IPSO.digitalInputState, IPSO.digitalInputCounter, IPSO.counterReset, IPSO.applicationType
+    ]),
+    obj(3201, 'digitalOutput', 'Digital Output', [
+        IPSO.digitalOutputState, IPSO.applicationType
+    ]),
+    obj(3202, 'analogInput', 'Analog Input', [
+        IPSO.analogInputValue, IPSO.minMeasuredValue, IPSO.maxMeasuredValue,
+        IPSO.minRangeValue, IPSO.maxRangeValue, IPSO.resetMinMax, IPSO.applicationType
+    ]),
+    obj(3203, 'analogOutput', 'Analog Output', [
+        IPSO.analogOutputValue, IPSO.minRangeValue, IPSO.maxRangeValue, IPSO.applicationType
+    ]),
+    obj(3300, 'genericSensor', 'Generic Sensor', sensor()),
+    obj(3301, 'illuminance', 'Illuminance', sensor('lx')),
+    obj(3302, 'presence', 'Presence', [
+        IPSO.digitalInputState, IPSO.digitalInputCounter, IPSO.counterReset, IPSO.applicationType
+    ]),
+    obj(3303, 'temperature', 'Temperature', sensor('Cel')),
+    obj(3304, 'humidity', 'Humidity', sensor('%RH')),
+    obj(3306, 'actuation', 'Actuation', [
+        IPSO.onOff, IPSO.dimmer, IPSO.onTime, IPSO.applicationType
+    ]),
+    obj(3308, 'setPoint', 'Set Point', [
+        IPSO.setPointValue, IPSO.colour, IPSO.sensorUnits, IPSO.applicationType
+    ]),
+    obj(3311, 'lightControl', 'Light Control', [
+        IPSO.onOff, IPSO.dimmer, IPSO.onTime, IPSO.cumulativeActivePower,
+        IPSO.powerFactor, IPSO.colour, IPSO.sensorUnits
+    ]),
+    obj(3312, 'powerControl', 'Power Control', [
+        IPSO.onOff, IPSO.dimmer, IPSO.onTime, IPSO.cumulativeActivePower, IPSO.powerFactor
+    ]),
+    obj(3315, 'barometer', 'Barometer', sensor('Pa')),
+    obj(3323, 'pressure', 'Pressure', sensor('Pa')),
+    obj(3341, 'addressableTextDisplay', 'Addressable Text Display', [
+        IPSO.text, IPSO.xCoordinate, IPSO.yCoordinate, IPSO.maxXCoordinate, IPSO.maxYCoordinate,
+        IPSO.clearDisplay, IPSO.level, IPSO.contrast, IPSO.applicationType
+    ]),
+    obj(3342, 'onOffSwitch', 'On/Off Switch', [
+        IPSO.digitalInputState, IPSO.digitalInputCounter, IPSO.onTime, IPSO.offTime, IPSO.applicationType
+    ]),
+    obj(3347, 'pushButton', 'Push Button', [
+        IPSO.digitalInputState, IPSO.digitalInputCounter, IPSO.applicationType
+    ])
+];
+
+function matches(entry, nameOrId) {
+    if (typeof nameOrId === 'number' || /^\d+$/.test(nameOrId)) {
+        return entry.id === Number(nameOrId);
+    }
+
+    return entry.key === nameOrId || entry.name.toLowerCase() === String(nameOrId).toLowerCase();
+}
+
+/**
+ * Look up an object
+ * @param nameOrId Key ('temperature'), name ('Temperature') or id (3303)
+ * @returns The object definition, or undefined when unknown
+ */
+function getObject(nameOrId) {
+    return OBJECTS.find(o => matches(o, nameOrId));
+}
+
+/**
+ * Look up a resource of an object
+ * @param objectNameOrId Key, name or id of the object
+ * @param nameOrId Key ('sensorValue'), name ('Sensor Value') or id (5700) of the resource
+ * @returns The resource definition, or undefined when unknown
+ */
+function getResource(objectNameOrId, nameOrId) {
+    let o = getObject(objectNameOrId);
+    if (!o) return undefined;
+
+    return o.resources.find(r => matches(r, nameOrId));
+}
+
+/**
+ * Numeric id of an object
+ * @param nameOrId Key, name or id of the object, ids that are not in the registry are allowed
+ */
+function getObjectId(nameOrId) {
+    return lookup(nameOrId, 0).objectId;
+}
+
+/**
+ * Find object and resource, numbers that are not in the registry are allowed
+ * @returns { objectId, resource }
+ */
+function lookup(object, resource) {
+    let isNumber = v => typeof v === 'number' || /^\d+$/.test(v);
+
+    let o = getObject(object);
+    if (!o && !isNumber(object)) {
+        throw new ValidationError(`Unknown LwM2M object '${object}'`);
+    }
+
+    let r = o && o.resources.find(r => matches(r, resource));
+    if (!r && !isNumber(resource)) {
+        throw new ValidationError(`Unknown resource '${resource}' for LwM2M object '${o ? o.key : object}'`);
+    }
+
+    return { objectId: o ? o.id : Number(object), resource: r || { id: Number(resource) } };
+}
+
+/**
+ * Turn a named path into a numeric one
+ * @param {string} path F.e. 'temperature/0/sensorValue' or '/3303/0/5700'
+ * @returns Path with leading slash, f.e. '/3303/0/5700'
+ */
+function resolvePath(path) {
+    let parts = String(path).replace(/^\//, '').split('/');
+    if (parts.length !== 3) {
+        throw new ValidationError(`Path '${path}' should be of format 'object/instance/resource'`);
+    }
+
+    let { objectId, resource } = lookup(parts[0], parts[2]);
+
+    return '/' + objectId + '/' + Number(parts[1]) + '/' + resource.id;
+}
+
+/**
+ * Turn a named lwm2m descriptor into one with a path. Type, operations and range (as min / max
+ * constraints) come from the registry unless the descriptor sets them. Descriptors with a
+ * path are returned as is.
+ * @param {object} l F.e. { object: 'temperature', instance: 0, resource: 'sensorValue', value: 21.5 }
+ * @returns F.e. { path: '/3303/0/5700', type: 'float', operation: [ 'GET' ], value: 21.5 }
+ */
+function resolveDescriptor(l) {
+    if (l.path || typeof l.object === 'undefined') return l;
+
+    let { objectId, resource: r } = lookup(l.object, l.resource);
+
+    let resolved = Object.assign({}, l, {
+        path: '/' + objectId + '/' + (l.instance || 0) + '/' + r.id
+    });
+    delete resolved.object;
+    delete resolved.instance;
+    delete resolved.resource;
+
+    if (typeof resolved.type === 'undefined' && r.type) resolved.type = r.type;
+    if (typeof resolved.operation === 'undefined' && r.operation) resolved.operation = r.operation.slice();
+    if (r.range) {
+        if (typeof resolved.min === 'undefined') resolved.min = r.range[0];
+        if (typeof resolved.max === 'undefined') resolved.max = r.range[1];
+    }
+
+    if (!resolved.operation) {
+        throw new ValidationError(`No operation for ${resolved.path}, it's not in the object registry`);
+    }
+
+    return resolved;
+}
+
+// resources of the Device object (3) that deviceObject() takes from the device info
+const DEVICE_INFO = [ 'manufacturer', 'modelNumber', 'serialNumber', 'firmwareVersion', 'batteryLevel' ];
+
+/**
+ * Descriptors for the Device object (3/0) with Reboot (3/0/4) and Factory Reset (3/0/5)
+ * @param {object} info { manufacturer, modelNumber, serialNumber, firmwareVersion, batteryLevel },
+ *                      the strings default to '' and Battery Level is left out when it's not set
+ * @returns Array of lwm2m descriptors with paths
+ */
+function deviceObject(info) {
+    info = info || {};
+
+    let unknown = Object.keys(info).find(k => DEVICE_INFO.indexOf(k) === -1);
+    if (unknown) {
+        throw new ValidationError(`Unknown device info '${unknown}', use one of ${DEVICE_INFO.join(', ')}`);
+    }
+
+    let descriptor = (key, value) => resolveDescriptor({ object: 'device', instance: 0, resource: key, value: value });
+
+    let lwm2m = DEVICE_INFO
+        .filter(k => k !== 'batteryLevel' || (info[k] !== null && typeof info[k] !== 'undefined'))
+        .map(k => descriptor(k, info[k] === null || typeof info[k] === 'undefined' ? '' : info[k]));
+
+    lwm2m.push(descriptor('reboot'), descriptor('factoryReset'));
+
+    return lwm2m;
+}
+
+module.exports = {
+    OBJECTS: OBJECTS,
+    getObject: getObject,
+    getResource: getResource,
+    getObjectId: getObjectId,
+    resolvePath: resolvePath,
+    resolveDescriptor: resolveDescriptor,
+    deviceObject: deviceObject
+};
@@ -18,119 +18,692 @@
  * ----------------------------------------------------------------------------
  */
 
-const os = require('os');
-const Path = require('path');
 const fs = require('fs');
-const promisify = require('es6-promisify');
+const Path = require('path');
 const crypto = require('crypto');
-const _exec = require('child_process').exec;
+const promisify = require('es6-promisify');
 const request = require('request');
+const Der = require('./der');
+const Logger = require('./logger');
+const { ManifestVerificationError, FirmwareDownloadError, causeMessage } = require('./errors');
 
-let exec = function (command) {
-    return new Promise((resolve, reject) => {
-        _exec(command, (err, stdout, stderr) => {
-            if (err) {
-                return reject(err + ' - ' + stderr);
-            }
+const { TAGS } = Der;
 
-            return resolve(stdout || stderr);
-        });
-    });
+const RESOURCE_TYPES = [ 'manifest', 'payload' ];
+const ENCRYPTION_MODES = [ 'invalid', 'aes-128-ctr-ecc-secp256r1-sha256', 'none-ecc-secp256r1-sha256',
+    'none-none-sha256', 'none-psk-aes-128-ccm-sha256' ];
+const PAYLOAD_FORMATS = [ 'undefined', 'raw-binary', 'cbor', 'hex-location-length-data', 'elf', 'bsdiff-stream' ];
+
+/**
+ * Reads the elements of a SEQUENCE one by one, used to walk the manifest schema
+ */
+function SequenceReader(el, name) {
+    if (!el || el.tag !== TAGS.SEQUENCE) {
+        throw new Error(`${name} should be a SEQUENCE`);
+    }
+    this.children = el.children;
+    this.name = name;
+    this.ix = 0;
+}
+
+SequenceReader.prototype.peek = function(tag) {
+    let el = this.children[this.ix];
+    return !!el && el.tag === tag;
+};
+
+SequenceReader.prototype.next = function(tag, field) {
+    let el = this.children[this.ix];
+    if (!el || el.tag !== tag) {
+        throw new Error(`${this.name}.${field} is missing or has the wrong type`);
+    }
+    this.ix++;
+    return el;
+};
+
+SequenceReader.prototype.optional = function(tag) {
+    return this.peek(tag) ? this.children[this.ix++] : undefined;
 };
 
+function hex(el) {
+    return el.contents.toString('hex');
+}
+
+function enumName(names, el) {
+    let v = Der.toInteger(el);
+    return names[v] || v;
+}
+
+// enum or object identifier
+function choice(r, names, field) {
+    if (r.peek(TAGS.OBJECT_IDENTIFIER)) {
+        return { objectId: Der.toOid(r.next(TAGS.OBJECT_IDENTIFIER, field)) };
+    }
+    return { enum: enumName(names, r.next(TAGS.ENUMERATED, field)) };
+}
+
+function readResourceReference(el, name) {
+    let r = new SequenceReader(el, name);
+    let ref = { hash: hex(r.next(TAGS.OCTET_STRING, 'hash')) };
+
+    let uri = r.optional(TAGS.UTF8_STRING);
+    if (uri) ref.uri = Der.toUtf8(uri);
+
+    ref.size = Der.toInteger(r.next(TAGS.INTEGER, 'size'));
+    return ref;
+}
+
+function readPayload(el) {
+    let r = new SequenceReader(el, 'payload');
+    let payload = { format: choice(r, PAYLOAD_FORMATS, 'format') };
+
+    let encryptionInfo = r.optional(TAGS.SEQUENCE);
+    if (encryptionInfo) payload.encryptionInfo = encryptionInfo.contents.toString('hex');
+
+    payload.storageIdentifier = Der.toUtf8(r.next(TAGS.UTF8_STRING, 'storageIdentifier'));
+    payload.reference = readResourceReference(r.next(TAGS.SEQUENCE, 'reference'), 'payload.reference');
+
+    let version = r.optional(TAGS.UTF8_STRING);
+    if (version) payload.version = Der.toUtf8(version);
+    let installedSize = r.optional(TAGS.INTEGER);
+    if (installedSize) payload.installedSize = Der.toInteger(installedSize);
+    let installedDigest = r.optional(TAGS.OCTET_STRING);
+    if (installedDigest) payload.installedDigest = hex(installedDigest);
+
+    return payload;
+}
+
+function readManifest(el) {
+    let r = new SequenceReader(el, 'manifest');
+    let m = {};
+
+    m.manifestVersion = enumName([ 'invalid', 'v1' ], r.next(TAGS.ENUMERATED, 'manifestVersion'));
+
+    let description = r.optional(TAGS.UTF8_STRING);
+    if (description) m.description = Der.toUtf8(description);
+
+    m.timestamp = Der.toInteger(r.next(TAGS.INTEGER, 'timestamp'));
+    m.vendorId = hex(r.next(TAGS.OCTET_STRING, 'vendorId'));
+    m.classId = hex(r.next(TAGS.OCTET_STRING, 'classId'));
+    m.deviceId = hex(r.next(TAGS.OCTET_STRING, 'deviceId'));
+    m.nonce = hex(r.next(TAGS.OCTET_STRING, 'nonce'));
+    m.vendorInfo = hex(r.next(TAGS.OCTET_STRING, 'vendorInfo'));
+
+    let precursorDigest = r.optional(TAGS.OCTET_STRING);
+    if (precursorDigest) m.precursorDigest = hex(precursorDigest);
+
+    let applyPeriod = r.optional(TAGS.SEQUENCE);
+    if (applyPeriod) {
+        let ap = new SequenceReader(applyPeriod, 'applyPeriod');
+        m.applyPeriod = {
+            validFrom: Der.toInteger(ap.next(TAGS.INTEGER, 'validFrom')),
+            validTo: Der.toInteger(ap.next(TAGS.INTEGER, 'validTo'))
+        };
+    }
+
+    m.applyImmediately = Der.toBoolean(r.next(TAGS.BOOLEAN, 'applyImmediately'));
+
+    let priority = r.optional(TAGS.INTEGER);
+    if (priority) m.priority = Der.toInteger(priority);
+
+    m.encryptionMode = choice(r, ENCRYPTION_MODES, 'encryptionMode');
+
+    m.aliases = r.next(TAGS.SEQUENCE, 'aliases').children.map(a => {
+        let ar = new SequenceReader(a, 'alias');
+        return { hash: hex(ar.next(TAGS.OCTET_STRING, 'hash')), uri: Der.toUtf8(ar.next(TAGS.UTF8_STRING, 'uri')) };
+    });
+    m.dependencies = r.next(TAGS.SEQUENCE, 'dependencies').children.map(d => readResourceReference(d, 'dependency'));
+
+    let payload = r.optional(TAGS.SEQUENCE);
+    if (payload) m.payload = readPayload(payload);
+
+    return m;
+}
+
 /**
- * Parse and verify a manifest
+ * Decode a signed manifest, without verifying it
+ * @param manifestBuffer Buffer that contains the manifest (DER)
+ * @returns Object in the same shape as `manifest-tool parse -j`, plus `$resourceDer` (the signed bytes)
+ */
+function parseManifest(manifestBuffer) {
+    let signed = new SequenceReader(Der.decode(manifestBuffer), 'signedResource');
+
+    let resourceEl = signed.next(TAGS.SEQUENCE, 'resource');
+    let r = new SequenceReader(resourceEl, 'resource');
+    let resource = {};
+
+    let uri = r.optional(TAGS.UTF8_STRING);
+    if (uri) resource.uri = Der.toUtf8(uri);
+
+    resource.resourceType = enumName(RESOURCE_TYPES, r.next(TAGS.ENUMERATED, 'resourceType'));
+    if (resource.resourceType === 'manifest') {
+        resource.resource = { manifest: readManifest(r.next(TAGS.SEQUENCE, 'manifest')) };
+    }
+    else {
+        resource.resource = { payload: hex(r.next(TAGS.OCTET_STRING, 'payload')) };
+    }
+
+    let s = new SequenceReader(signed.next(TAGS.SEQUENCE, 'signature'), 'signature');
+    let signature = {
+        hash: hex(s.next(TAGS.OCTET_STRING, 'hash')),
+        signatures: s.next(TAGS.SEQUENCE, 'signatures').children.map(b => {
+            let br = new SequenceReader(b, 'signatureBlock');
+            return {
+                signature: br.next(TAGS.OCTET_STRING, 'signature').contents,
+                certificates: br.next(TAGS.SEQUENCE, 'certificates').children.map(c => {
+                    let cr = new SequenceReader(c, 'certificateReference');
+                    return {
+                        fingerprint: hex(cr.next(TAGS.OCTET_STRING, 'fingerprint')),
+                        uri: Der.toUtf8(cr.next(TAGS.UTF8_STRING, 'uri'))
+                    };
+                })
+            };
+        })
+    };
+
+    return { resource: resource, signature: signature, $resourceDer: resourceEl.raw };
+}
+
+function fail(reason, message, cause) {
+    let err = new ManifestVerificationError('Manifest verification failed - ' + message, cause);
+    err.reason = reason;
+    return err;
+}
+
+/**
+ * SHA-256 fingerprint (hex) of a certificate, always over the DER form (also for PEM files)
+ * @param certificate Buffer with a DER or PEM certificate, or a crypto.X509Certificate
+ */
+function fingerprint(certificate) {
+    if (!(certificate instanceof crypto.X509Certificate)) {
+        certificate = new crypto.X509Certificate(certificate);
+    }
+    return crypto.createHash('sha256').update(certificate.raw).digest('hex');
+}
+
+function normalizeId(id) {
+    return String(id).replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Parse and verify a manifest. Checks that it's signed by one of the certificates, that it's meant
+ * for this vendor and device class, that it's not older than what's installed, and that it describes a payload.
  * @param vendorId The vendor ID as GUID string
  * @param deviceClassId The device class ID as GUID string
- * @param certificateBuffer Buffer that contains the private key of the certificate (.der file)
+ * @param certificateBuffer Buffer that contains the update certificate (.der file), or an array of them
  * @param manifestBuffer Buffer that contains the actual manifest
- * @returns Promise that holds the parsed manifest
+ * @param options Optional settings, `logger` and `logLevel` (see logger.js), and `minTimestamp`
+ *                to reject manifests that are older (f.e. the timestamp of the installed firmware)
+ * @returns Promise that holds { manifest, certificate }, certificate is the fingerprint of the
+ *          certificate that signed the manifest
  */
-let parseAndVerifyManifest = async function (vendorId, deviceClassId, certificateBuffer, manifestBuffer) {
-    let tmpFolder = Path.join(os.tmpdir(), (await promisify(crypto.randomBytes.bind(crypto))(32)).toString('hex'));
+let verifyManifest = async function (vendorId, deviceClassId, certificateBuffer, manifestBuffer, options) {
+    let log = Logger.create(options);
+    options = options || {};
 
-    let maniFile = Path.join(tmpFolder, 'm.manifest');
-    let certFile = Path.join(tmpFolder, 'm.der');
+    let parsed;
+    try {
+        parsed = parseManifest(manifestBuffer);
+    }
+    catch (ex) {
+        throw fail('format', 'cannot parse manifest: ' + causeMessage(ex), ex);
+    }
 
+    let certificates;
     try {
-        // create temp folder
-        await promisify(fs.mkdir.bind(fs))(tmpFolder);
+        certificates = [].concat(certificateBuffer).map(c => {
+            let certificate = c instanceof crypto.X509Certificate ? c : new crypto.X509Certificate(c);
+            return { certificate: certificate, fingerprint: fingerprint(certificate) };
+        });
+    }
+    catch (ex) {
+        throw fail('certificate', 'cannot read certificate: ' + causeMessage(ex), ex);
+    }
+    log.debug('Certificate fingerprints', { fingerprints: certificates.map(c => c.fingerprint) });
 
-        // then put the manifest in there...
-        await promisify(fs.writeFile.bind(fs))(maniFile, manifestBuffer);
-        // then put the certificate in there
-        await promisify(fs.writeFile.bind(fs))(certFile, certificateBuffer);
+    let hash = crypto.createHash('sha256').update(parsed.$resourceDer).digest('hex');
+    if (hash !== parsed.signature.hash) {
+        throw fail('hash', `hash mismatch - expected ${parsed.signature.hash}, but got ${hash}`);
+    }
 
-        // get the fingerprint of the cert
-        let t = await exec('openssl x509 -inform der -in "' + certFile + '" -sha256 -fingerprint -noout');
-        let fingerprint = t.replace('SHA256 Fingerprint=', '').split(':').join('').trim().toLowerCase();
+    // signature blocks with a certificate that we trust
+    let candidates = [];
+    for (let block of parsed.signature.signatures) {
+        for (let c of certificates) {
+            if (block.certificates.some(ref => ref.fingerprint === c.fingerprint)) {
+                candidates.push({ block: block, certificate: c });
+            }
+        }
+    }
+    if (candidates.length === 0) {
+        throw fail('certificate', 'not signed by certificate ' + certificates.map(c => c.fingerprint).join(', '));
+    }
 
-        // and rename the cert file to the fingerprint... (weird manifest-tool thingy)
-        promisify(fs.rename.bind(fs))(certFile, Path.join(tmpFolder, fingerprint));
+    let match = candidates.find(m => {
+        try {
+            return crypto.verify('sha256', parsed.$resourceDer, m.certificate.certificate.publicKey, m.block.signature);
+        }
+        catch (ex) {
+            return false;
+        }
+    });
+    if (!match) {
+        throw fail('signature', 'invalid signature');
+    }
 
-        // now we can verify the manifest
-        let verify = await exec(`manifest-tool verify -i "${maniFile}" -V ${vendorId} -C ${deviceClassId} -d ${tmpFolder}`);
+    if (parsed.resource.resourceType !== 'manifest') {
+        throw fail('format', `resource should be a manifest, but was ${parsed.resource.resourceType}`);
+    }
 
-        // not sure if this is the right way, but OK
-        if (verify.indexOf('CRITICAL') > -1) {
-            throw 'Manifest verification failed (' + verify + ')';
-        }
+    let manifest = parsed.resource.resource.manifest;
 
-        // and parse the manifest
-        let manifest = JSON.parse(await exec(`manifest-tool parse -ji "${maniFile}"`));
+    if (manifest.manifestVersion !== 'v1') {
+        throw fail('format', `unsupported manifest version ${manifest.manifestVersion}`);
+    }
+    if (manifest.vendorId !== normalizeId(vendorId)) {
+        throw fail('vendor', `vendor ID mismatch - expected ${normalizeId(vendorId)}, but got ${manifest.vendorId}`);
+    }
+    if (manifest.classId !== normalizeId(deviceClassId)) {
+        throw fail('class', `class ID mismatch - expected ${normalizeId(deviceClassId)}, but got ${manifest.classId}`);
+    }
+    if (typeof options.minTimestamp === 'number' && manifest.timestamp < options.minTimestamp) {
+        throw fail('rollback', `manifest timestamp ${manifest.timestamp} is older than ${options.minTimestamp}`);
+    }
 
-        return manifest.resource.resource.manifest;
+    let ref = manifest.payload && manifest.payload.reference;
+    if (!ref || !ref.uri) {
+        throw fail('payload', 'no payload URI');
     }
-    catch (ex) {
-        throw ex;
+    if (!/^[0-9a-f]{64}$/.test(ref.hash)) {
+        throw fail('payload', 'payload hash should be SHA-256');
     }
-    finally {
-        for (let file of await promisify(fs.readdir.bind(fs))(tmpFolder)) {
-            await promisify(fs.unlink.bind(fs))(Path.join(tmpFolder, file));
+    if (!(ref.size > 0)) {
+        throw fail('payload', 'invalid payload size ' + ref.size);
+    }
+
+    log.debug('Manifest verified', { vendorId: vendorId, classId: deviceClassId, certificate: match.certificate.fingerprint });
+
+    return { manifest: manifest, certificate: match.certificate.fingerprint };
+};
+
+/**
+ * Parse and verify a manifest, see verifyManifest
+ * @returns Promise that holds the parsed manifest
+ */
+let parseAndVerifyManifest = async function (vendorId, deviceClassId, certificateBuffer, manifestBuffer, options) {
+    let result = await verifyManifest(vendorId, deviceClassId, certificateBuffer, manifestBuffer, options);
+
+    return result.manifest;
+};
+
+/**
+ * Keeps a download in memory
+ */
+function BufferSink() {
+    this.received = 0;
+    this.hash = crypto.createHash('sha256');
+    this.chunks = [];
+    this.etag = null;
+}
+
+BufferSink.prototype.open = async function() {};
+
+BufferSink.prototype.write = function(chunk, callback) {
+    this.chunks.push(chunk);
+    this.received += chunk.length;
+    this.hash.update(chunk);
+    callback();
+};
+
+BufferSink.prototype.setEtag = function(etag) {
+    this.etag = etag;
+};
+
+BufferSink.prototype.close = async function() {};
+
+BufferSink.prototype.reset = async function() {
+    BufferSink.call(this);
+};
+
+BufferSink.prototype.discard = BufferSink.prototype.reset;
+
+BufferSink.prototype.finish = async function() {
+    return Buffer.concat(this.chunks);
+};
+
+/**
+ * Streams a download to `path`. Data is written to `path + '.part'` first, so an
+ * interrupted download can be resumed (also after a restart). The ETag of the
+ * response is kept next to it in `path + '.etag'`.
+ */
+function FileSink(path) {
+    this.path = path;
+    this.partPath = path + '.part';
+    this.etagPath = path + '.etag';
+    this.received = 0;
+    this.hash = crypto.createHash('sha256');
+    this.etag = null;
+    this.etagWrite = null;
+    this.stream = null;
+    this.opened = false;
+}
+
+FileSink.prototype.open = async function() {
+    if (!this.opened) {
+        // pick up where a previous download left off, the hash has to cover those bytes too
+        this.opened = true;
+        await promisify(fs.mkdir.bind(fs))(Path.dirname(this.path), { recursive: true, mode: 0o700 });
+        try {
+            await new Promise((resolve, reject) => {
+                fs.createReadStream(this.partPath)
+                    .on('data', chunk => {
+                        this.received += chunk.length;
+                        this.hash.update(chunk);
+                    })
+                    .on('error', reject)
+                    .on('end', resolve);
+            });
+        }
+        catch (ex) {
+            if (ex.code !== 'ENOENT') throw ex;
+        }
+        if (this.received > 0) {
+            this.etag = await promisify(fs.readFile.bind(fs))(this.etagPath, 'utf8').catch(() => null);
         }
+    }
+
+    this.stream = fs.createWriteStream(this.partPath, { flags: 'a' });
+    this.stream.on('error', err => this.error = err);
+};
+
+FileSink.prototype.write = function(chunk, callback) {
+    this.received += chunk.length;
+    this.hash.update(chunk);
+
+    let stream = this.stream;
+    if (stream.write(chunk)) return callback(this.error);
+
+    let onDrain = () => {
+        stream.removeListener('error', onError);
+        callback();
+    };
+    let onError = err => {
+        stream.removeListener('drain', onDrain);
+        callback(err);
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+};
+
+FileSink.prototype.setEtag = function(etag) {
+    this.etag = etag;
+    this.etagWrite = promisify(fs.writeFile.bind(fs))(this.etagPath, etag);
+    this.etagWrite.catch(err => this.error = err);
+};
 
-        await promisify(fs.rmdir.bind(fs))(tmpFolder);
+FileSink.prototype.close = async function() {
+    if (this.etagWrite) {
+        await this.etagWrite.catch(() => {});
+        this.etagWrite = null;
     }
+    if (!this.stream) return;
+
+    let stream = this.stream;
+    this.stream = null;
+    await new Promise(resolve => stream.end(resolve));
+
+    if (this.error) throw this.error;
+};
+
+FileSink.prototype.reset = async function() {
+    await this.close();
+    await promisify(fs.truncate.bind(fs))(this.partPath, 0);
+    await promisify(fs.unlink.bind(fs))(this.etagPath).catch(() => {});
+    this.received = 0;
+    this.hash = crypto.createHash('sha256');
+    this.etag = null;
+};
+
+FileSink.prototype.discard = async function() {
+    await this.close().catch(() => {});
+    await promisify(fs.unlink.bind(fs))(this.partPath).catch(() => {});
+    await promisify(fs.unlink.bind(fs))(this.etagPath).catch(() => {});
 };
 
-function request_get(path) {
+FileSink.prototype.finish = async function() {
+    await promisify(fs.rename.bind(fs))(this.partPath, this.path);
+    await promisify(fs.unlink.bind(fs))(this.etagPath).catch(() => {});
+    return this.path;
+};
+
+function downloadError(message, permanent) {
+    let err = new FirmwareDownloadError(message);
+    err.permanent = !!permanent;
+    return err;
+}
+
+/**
+ * Fetch `uri` into `sink`, asking for the remaining bytes when the sink already holds some
+ * (only if the file still has the same ETag, when the sink knows it).
+ * Resolves when the server closes the response, check `sink.received` against `sink.total`
+ * to see whether it's complete.
+ * @param limit Maximum size in bytes
+ */
+function fetch(uri, limit, sink, progress) {
     return new Promise((resolve, reject) => {
-        request.get({
-            url: path,
-            encoding: null
-        }, function (err, res, body) {
-            if (err) return reject(err);
-            if (res.statusCode < 200 || res.statusCode > 300) {
-                return reject('Status code should be 2xx, but was ' + res.statusCode);
+        let headers = {};
+        if (sink.received > 0) {
+            headers.Range = 'bytes=' + sink.received + '-';
+            if (sink.etag) headers['If-Range'] = sink.etag;
+        }
+
+        let settled = false;
+        let req = request.get({ url: uri, headers: headers });
+
+        let done = err => {
+            if (settled) return;
+            settled = true;
+            if (err) {
+                req.abort();
+                return reject(err);
             }
-            return resolve(body);
+            resolve();
+        };
+
+        let tooLarge = () => done(downloadError(`Firmware is larger than the allowed ${limit} bytes`, true));
+
+        req.on('error', err => done(err));
+
+        req.on('response', res => {
+            if (res.statusCode === 416 && sink.received > 0 && sink.received === sink.total) {
+                // we already have everything
+                req.abort();
+                return done();
+            }
+            if (res.statusCode === 200 && sink.received > 0) {
+                // server ignores the Range header, or the file changed since, start over
+                return done(Object.assign(downloadError('Server does not support resuming'), { restart: true }));
+            }
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                let err = downloadError('Status code should be 2xx, but was ' + res.statusCode, res.statusCode < 500);
+                err.statusCode = res.statusCode;
+                return done(err);
+            }
+
+            let length = Number(res.headers['content-length']);
+            if (length) {
+                if (sink.received + length > limit) return tooLarge();
+                sink.total = sink.total || sink.received + length;
+            }
+
+            res.on('aborted', () => done(new Error('Connection was interrupted')));
+
+            // weak ETags can't be used in If-Range
+            let etag = res.headers.etag;
+            if (etag && !/^W\//.test(etag) && etag !== sink.etag) sink.setEtag(etag);
+        });
+
+        req.on('data', chunk => {
+            if (settled) return;
+
+            if (sink.received + chunk.length > limit) return tooLarge();
+
+            req.pause();
+            sink.write(chunk, err => {
+                if (err) return done(Object.assign(downloadError('Writing firmware failed - ' + err.message, true), { cause: err }));
+
+                progress();
+                req.resume();
+            });
         });
+
+        req.on('end', () => done());
+        req.on('close', () => done());
     });
 }
 
-let downloadAndVerifyFirmware = async function (manifest) {
-    let firmware;
+function wait(ms) {
+    return new Promise(res => setTimeout(res, ms));
+}
+
+/**
+ * Download firmware. It's hashed while it streams in, and the download is aborted as soon as it
+ * exceeds `size` (or `maxSize`). Interrupted downloads are resumed with a HTTP Range request
+ * when the server sent an ETag or `hash` is set, otherwise they start over.
+ * @param uri URL of the firmware
+ * @param options Optional settings
+ *   - size, hash: expected size and SHA-256 hash (hex), f.e. from a manifest
+ *   - maxSize: maximum size in bytes when `size` is not known
+ *   - directory: stream the firmware to `<directory>/<hash>.bin` instead of keeping it in memory
+ *     (the hash of the URI is used when `hash` is not set). Partial downloads are resumed.
+ *   - retries: number of times to resume an interrupted download (default: 3)
+ *   - retryDelay: time between attempts in ms (default: 1000)
+ *   - onProgress: called with { received, total } every time another percent came in
+ *     (total is undefined when the server does not send the size)
+ *   - logger, logLevel: see logger.js
+ * @returns Promise that holds { firmware, size, hash }, firmware is a Buffer, or the path
+ *          of the file when `directory` is set
+ */
+let downloadFirmware = async function (uri, options) {
+    options = options || {};
+    let log = Logger.create(options);
+
+    let limit = options.size || options.maxSize || Infinity;
+    let retries = typeof options.retries === 'number' ? options.retries : 3;
+    let retryDelay = typeof options.retryDelay === 'number' ? options.retryDelay : 1000;
+
+    let sink;
+    if (options.directory) {
+        let name = options.hash || crypto.createHash('sha256').update(uri).digest('hex');
+        sink = new FileSink(Path.join(options.directory, name + '.bin'));
+    }
+    else {
+        sink = new BufferSink();
+    }
+    sink.total = options.size;
+
+    let lastProgress = -1;
+    let progress = () => {
+        // once per percent, or once per chunk when the size is unknown
+        let step = sink.total ? Math.floor(sink.received / sink.total * 100) : sink.received;
+        if (step === lastProgress) return;
+        lastProgress = step;
+        if (options.onProgress) options.onProgress({ received: sink.received, total: sink.total });
+    };
+
+    let open = async () => {
+        await sink.open();
+        // without a hash or an ETag there's no telling whether the bytes we have still
+        // belong to the file on the server
+        if (sink.received > 0 && !sink.etag && !options.hash) {
+            log.debug('Cannot resume firmware download without hash or ETag, starting over', { url: uri });
+            await sink.reset();
+            await sink.open();
+        }
+    };
+
+    let start = Date.now();
     try {
-        firmware = await request_get(manifest.payload.reference.uri);
+        await open();
+        if (sink.received > 0) {
+            log.info('Resuming firmware download', { url: uri, offset: sink.received });
+        }
+        else {
+            log.debug('Downloading firmware', { url: uri });
+        }
+        progress();
+
+        for (let attempt = 0; ; ) {
+            let error;
+            try {
+                await fetch(uri, limit, sink, progress);
+                if (sink.total && sink.received < sink.total) {
+                    error = new Error(`Connection closed after ${sink.received} of ${sink.total} bytes`);
+                }
+            }
+            catch (ex) {
+                error = ex;
+            }
+            await sink.close();
+
+            if (!error) break;
+            if (error.restart) {
+                await sink.reset();
+                sink.total = options.size;
+            }
+            else if (error.permanent || attempt++ >= retries) {
+                throw error;
+            }
+            else {
+                log.warn('Firmware download was interrupted, resuming', { received: sink.received, err: error });
+                await wait(retryDelay);
+            }
+            await open();
+        }
     }
     catch (ex) {
-        throw 'Downloading firmware failed - ' + ex;
+        await sink.close().catch(() => {});
+        // a partial file is kept for a later resume, unless it can never become valid
+        if (ex.permanent) await sink.discard();
+
+        throw new FirmwareDownloadError('Downloading firmware failed - ' + causeMessage(ex), ex);
     }
+    log.debug('Downloaded firmware', { size: sink.received, duration: Date.now() - start });
 
-    if (firmware.length !== manifest.payload.reference.size) {
-        throw `Length mismatch - Expected ${manifest.payload.reference.size}, but got ${firmware.length}`;
+    if (typeof options.size === 'number' && sink.received !== options.size) {
+        await sink.discard();
+        throw new FirmwareDownloadError(`Length mismatch - Expected ${options.size}, but got ${sink.received}`);
     }
 
-    let hash = crypto.createHash('sha256').update(firmware).digest('hex').toLowerCase();
+    let hash = sink.hash.digest('hex').toLowerCase();
 
-    if (hash !== manifest.payload.reference.hash) {
-        throw `Hash mismatch - Expected ${manifest.payload.reference.hash}, but got ${hash}`;
+    if (options.hash && hash !== options.hash) {
+        await sink.discard();
+        throw new FirmwareDownloadError(`Hash mismatch - Expected ${options.hash}, but got ${hash}`);
     }
 
-    return firmware;
+    return { firmware: await sink.finish(), size: sink.received, hash: hash };
+};
+
+/**
+ * Download the firmware that a manifest points to, and verify its size and hash
+ * @param manifest Manifest as returned by parseAndVerifyManifest
+ * @param options Optional settings, see downloadFirmware
+ * @returns Promise that holds the firmware as Buffer, or the path of the file when `directory` is set
+ */
+let downloadAndVerifyFirmware = async function (manifest, options) {
+    let ref = manifest.payload.reference;
+
+    let result = await downloadFirmware(ref.uri, Object.assign({}, options, { size: ref.size, hash: ref.hash }));
+
+    return result.firmware;
 };
 
 module.exports = {
+    parseManifest: parseManifest,
+    verifyManifest: verifyManifest,
     parseAndVerifyManifest: parseAndVerifyManifest,
+    fingerprint: fingerprint,
+    normalizeId: normalizeId,
+    downloadFirmware: downloadFirmware,
     downloadAndVerifyFirmware: downloadAndVerifyFirmware
 };
@@ -0,0 +1,418 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Stand-in for Mbed Edge (edge-core) that speaks the protocol translator API
+ * on /1/pt. Use it for tests and for developing protocol translators without
+ * a running Mbed Edge.
+ *
+ *     const MockEdgeCore = require('mbed-edge-js/mock-edge-core');
+ *     let core = new MockEdgeCore();
+ *     await core.start({ port: 9101 });         // or { socketPath: '/tmp/edge.sock' }
+ *     let edge = new Edge(core.url, 'my-pt');
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const fs = require('fs');
+const JsonRpcWs = require('json-rpc-ws');
+const codec = require('./value-codec');
+
+const CON_PR = '\x1b[35m[MockEdgeCore]\x1b[0m';
+
+const OPERATION_WRITE = 2;
+const OPERATION_EXECUTE = 4;
+
+function MockEdgeCore() {
+    EventEmitter.call(this);
+
+    this.url = null;
+    this.apiPath = '/1/pt';
+
+    // name => connection id
+    this.translators = {};
+    // device id => { deviceId, translator, objects }
+    this.devices = {};
+    // every request that came in, in order, as { method, params }
+    this.requests = [];
+    // method => function overriding the default behavior, see override()
+    this.overrides = {};
+}
+
+MockEdgeCore.prototype = Object.create(EventEmitter.prototype);
+
+/**
+ * Start listening
+ * @param {object} options Either { port, host } for ws:// or { socketPath } for ws+unix://
+ * @returns Promise that resolves when the server is listening
+ */
+MockEdgeCore.prototype.start = function(options) {
+    options = options || {};
+
+    this.server = JsonRpcWs.createServer();
+
+    this.server.expose('protocol_translator_register', this._handler(this._onTranslatorRegister));
+    this.server.expose('device_register', this._handler(this._onDeviceRegister));
+    this.server.expose('device_unregister', this._handler(this._onDeviceUnregister));
+    this.server.expose('write', this._handler(this._onWrite));
+
+    this.httpServer = http.createServer();
+
+    return new Promise((resolve, reject) => {
+        this.httpServer.once('error', reject);
+
+        let onListening = () => {
+            this.httpServer.removeListener('error', reject);
+
+            if (options.socketPath) {
+                this.url = 'ws+unix://' + options.socketPath + ':';
+            }
+            else {
+                let address = this.httpServer.address();
+                this.url = 'ws://' + (options.host || '127.0.0.1') + ':' + address.port;
+            }
+
+            this.server.start({ server: this.httpServer, path: this.apiPath });
+
+            resolve();
+        };
+
+        if (options.socketPath) {
+            // remove stale socket file, like edge-core does
+            if (fs.existsSync(options.socketPath)) {
+                fs.unlinkSync(options.socketPath);
+            }
+            this.httpServer.listen(options.socketPath, onListening);
+        }
+        else {
+            this.httpServer.listen(options.port || 0, options.host || '127.0.0.1', onListening);
+        }
+    });
+};
+
+/**
+ * Stop the server, drops all connections, translators and devices
+ */
+MockEdgeCore.prototype.stop = function() {
+    if (!this.server) return Promise.resolve();
+
+    this.disconnectAll();
+    this.server.stop();
+    this.server = null;
+
+    this.translators = {};
+    this.devices = {};
+
+    return new Promise(resolve => {
+        this.httpServer.close(() => resolve());
+    });
+};
+
+/**
+ * Wraps a request handler so it runs with the connection id, records the
+ * request and turns thrown errors into JSON-RPC errors.
+ */
+MockEdgeCore.prototype._handler = function(fn) {
+    let self = this;
+
+    return function(params, response) {
+        let connection = this;
+
+        self.requests.push({ method: fn.name, params: params });
+
+        let onError = ex => response({ code: ex.code || -30000, message: ex.message, data: ex.data });
+
+        try {
+            let override = self.overrides[fn.name];
+            if (override) {
+                return Promise.resolve(override.call(self, params)).then(result => {
+                    response(null, result || 'ok');
+                }, onError);
+            }
+
+            let result = fn.call(self, params, connection);
+            response(null, result || 'ok');
+        }
+        catch (ex) {
+            onError(ex);
+        }
+    };
+};
+
+/**
+ * Replace the behavior of a method, f.e. to simulate errors. `fn` is called with the
+ * request params and can return a result, throw (use MockEdgeCore.rpcError for a
+ * specific code), or return a promise (one that never settles means no response).
+ * Pass null to restore the default behavior.
+ */
+MockEdgeCore.prototype.override = function(method, fn) {
+    if (fn) {
+        this.overrides[method] = fn;
+    }
+    else {
+        delete this.overrides[method];
+    }
+};
+
+MockEdgeCore.prototype._onTranslatorRegister = function protocol_translator_register(params, connection) {
+    if (!params || !params.name) {
+        throw rpcError(-32602, 'Invalid params', 'Key \'name\' missing');
+    }
+
+    this.translators[params.name] = connection.id;
+
+    // edge-core forgets about a translator and its devices when the connection closes
+    connection.socket.once('close', () => {
+        if (this.translators[params.name] !== connection.id) return;
+
+        delete this.translators[params.name];
+        for (let id of Object.keys(this.devices)) {
+            if (this.devices[id].translator === params.name) {
+                delete this.devices[id];
+            }
+        }
+        this.emit('protocol_translator_closed', params.name);
+    });
+
+    this.emit('protocol_translator_register', params.name);
+};
+
+MockEdgeCore.prototype._onDeviceRegister = function device_register(params, connection) {
+    let translator = this._translatorForConnection(connection);
+
+    if (!params.deviceId) {
+        throw rpcError(-32602, 'Invalid params', 'Key \'deviceId\' missing');
+    }
+
+    // like edge-core, a device has to be unregistered before it can register again
+    if (this.devices[params.deviceId]) {
+        throw rpcError(-30000, 'Device registration failed', 'Device already registered');
+    }
+
+    this.devices[params.deviceId] = {
+        deviceId: params.deviceId,
+        translator: translator,
+        objects: params.objects || []
+    };
+
+    this.emit('device_register', params.deviceId);
+};
+
+MockEdgeCore.prototype._onDeviceUnregister = function device_unregister(params, connection) {
+    this._translatorForConnection(connection);
+
+    if (!this.devices[params.deviceId]) {
+        throw rpcError(-30001, 'Unregister failed', 'Device not registered');
+    }
+
+    delete this.devices[params.deviceId];
+
+    this.emit('device_unregister', params.deviceId);
+};
+
+MockEdgeCore.prototype._onWrite = function write(params, connection) {
+    this._translatorForConnection(connection);
+
+    let device = this.devices[params.deviceId];
+    if (!device) {
+        throw rpcError(-30000, 'Write value failed', 'Device not registered');
+    }
+
+    // merge resources into the stored model
+    for (let obj of params.objects || []) {
+        for (let inst of obj.objectInstances) {
+            for (let res of inst.resources) {
+                let path = [ obj.objectId, inst.objectInstanceId, res.resourceId ].join('/');
+                let existing = this._findResource(device, path);
+                if (existing) {
+                    Object.assign(existing, res);
+                }
+                else {
+                    this._insertResource(device, obj.objectId, inst.objectInstanceId, res);
+                }
+            }
+        }
+    }
+
+    this.emit('write', params.deviceId, params.objects);
+};
+
+MockEdgeCore.prototype._translatorForConnection = function(connection) {
+    let name = Object.keys(this.translators).find(n => this.translators[n] === connection.id);
+    if (!name) {
+        throw rpcError(-30002, 'Protocol translator not registered');
+    }
+    return name;
+};
+
+MockEdgeCore.prototype._findResource = function(device, path) {
+    let [ objId, instId, resId ] = path.replace(/^\//, '').split('/').map(Number);
+
+    let obj = device.objects.find(o => o.objectId === objId);
+    if (!obj) return null;
+    let inst = obj.objectInstances.find(i => i.objectInstanceId === instId);
+    if (!inst) return null;
+    return inst.resources.find(r => r.resourceId === resId) || null;
+};
+
+MockEdgeCore.prototype._insertResource = function(device, objId, instId, res) {
+    let obj = device.objects.find(o => o.objectId === objId);
+    if (!obj) {
+        obj = { objectId: objId, objectInstances: [] };
+        device.objects.push(obj);
+    }
+    let inst = obj.objectInstances.find(i => i.objectInstanceId === instId);
+    if (!inst) {
+        inst = { objectInstanceId: instId, resources: [] };
+        obj.objectInstances.push(inst);
+    }
+    inst.resources.push(Object.assign({}, res));
+};
+
+/**
+ * Names of all registered protocol translators
+ */
+MockEdgeCore.prototype.getTranslators = function() {
+    return Object.keys(this.translators);
+};
+
+/**
+ * Get a registered device (or null)
+ * @returns { deviceId, translator, objects } with objects as sent by the translator
+ */
+MockEdgeCore.prototype.getDevice = function(deviceId) {
+    return this.devices[deviceId] || null;
+};
+
+/**
+ * Get the raw resource as sent by the translator (or null)
+ * @param {string} path Path in the form '3303/0/5700' (leading slash optional)
+ */
+MockEdgeCore.prototype.getResource = function(deviceId, path) {
+    let device = this.devices[deviceId];
+    if (!device) return null;
+
+    return this._findResource(device, path);
+};
+
+/**
+ * Get the decoded value of a resource (or undefined)
+ */
+MockEdgeCore.prototype.getValue = function(deviceId, path) {
+    let res = this.getResource(deviceId, path);
+    if (!res) return undefined;
+
+    return codec.decode(res.type, Buffer.from(res.value || '', 'base64'));
+};
+
+/**
+ * Write a value to a resource, like a PUT from Mbed Cloud
+ * @param value Buffer, or a value that's encoded based on the resource type
+ * @returns Promise that resolves with the translator's response
+ */
+MockEdgeCore.prototype.write = function(deviceId, path, value) {
+    let res = this.getResource(deviceId, path);
+    let buffer = Buffer.isBuffer(value) ? value : codec.encode(res ? res.type : 'string', value);
+
+    return this._sendOperation(deviceId, path, OPERATION_WRITE, buffer);
+};
+
+/**
+ * Execute a resource, like a POST from Mbed Cloud
+ * @param {Buffer} buffer Optional argument
+ * @returns Promise that resolves with the translator's response
+ */
+MockEdgeCore.prototype.execute = function(deviceId, path, buffer) {
+    return this._sendOperation(deviceId, path, OPERATION_EXECUTE, buffer || Buffer.alloc(0));
+};
+
+MockEdgeCore.prototype._sendOperation = function(deviceId, path, operation, buffer) {
+    let device = this.devices[deviceId];
+    if (!device) return Promise.reject(`Unknown device '${deviceId}'`);
+
+    let [ objId, instId, resId ] = path.replace(/^\//, '').split('/').map(Number);
+
+    let params = {
+        uri: {
+            deviceId: deviceId,
+            objectId: objId,
+            objectInstanceId: instId,
+            resourceId: resId
+        },
+        operation: operation,
+        value: buffer.toString('base64')
+    };
+
+    return new Promise((resolve, reject) => {
+        this.server.send(this.translators[device.translator], 'write', params, (err, result) => {
+            if (err) return reject(err);
+
+            // like edge-core, keep the written value once the translator accepted it
+            let res = operation === OPERATION_WRITE && this._findResource(device, path);
+            if (res) {
+                res.value = params.value;
+            }
+
+            resolve(result);
+        });
+    });
+};
+
+/**
+ * Close the connections to all translators, f.e. to simulate an edge-core restart
+ */
+MockEdgeCore.prototype.disconnectAll = function() {
+    for (let id of Object.keys(this.server.connections)) {
+        let connection = this.server.connections[id];
+        if (connection.socket) {
+            connection.socket.terminate();
+        }
+    }
+};
+
+function rpcError(code, message, data) {
+    let err = new Error(message);
+    err.code = code;
+    err.data = data;
+    return err;
+}
+
+MockEdgeCore.rpcError = rpcError;
+
+module.exports = MockEdgeCore;
+
+if (require.main === module) {
+    let arg = process.argv[2] || '9101';
+    let core = new MockEdgeCore();
+
+    let options = /^\d+$/.test(arg) ? { port: Number(arg) } : { socketPath: arg };
+
+    core.on('protocol_translator_register', name => console.log(CON_PR, 'Protocol translator registered', name));
+    core.on('device_register', id => console.log(CON_PR, 'Device registered', id, JSON.stringify(core.getDevice(id).objects)));
+    core.on('device_unregister', id => console.log(CON_PR, 'Device unregistered', id));
+    core.on('write', (id, objects) => console.log(CON_PR, 'Write', id, JSON.stringify(objects)));
+
+    core.start(options).then(() => {
+        console.log(CON_PR, 'Listening on', core.url);
+    }, err => {
+        console.error(CON_PR, 'Failed to start', err);
+        process.exit(1);
+    });
+}
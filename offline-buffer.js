@@ -0,0 +1,148 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Bounded buffer for resource values that are set while Mbed Edge is unreachable
+ * @param {object} options
+ *   - mode: 'latest' keeps only the latest value per resource, 'queue' keeps all values
+ *     in the order they were set (default: 'latest')
+ *   - maxSize: maximum number of buffered values (default: 1000)
+ *   - overflow: what to do when the buffer is full, 'drop-oldest' drops the oldest buffered
+ *     value, 'drop-newest' drops the value that's being added (default: 'drop-oldest')
+ */
+function OfflineBuffer(options) {
+    options = options || {};
+
+    this.mode = options.mode || 'latest';
+    this.maxSize = options.maxSize || 1000;
+    this.overflow = options.overflow || 'drop-oldest';
+
+    if ([ 'latest', 'queue' ].indexOf(this.mode) === -1) {
+        throw new ValidationError(`Unknown offline buffer mode '${this.mode}', should be 'latest' or 'queue'`);
+    }
+    if ([ 'drop-oldest', 'drop-newest' ].indexOf(this.overflow) === -1) {
+        throw new ValidationError(`Unknown offline buffer overflow policy '${this.overflow}', should be 'drop-oldest' or 'drop-newest'`);
+    }
+
+    // in 'latest' mode a Map keyed by route (in insertion order), in 'queue' mode an array
+    this._entries = this.mode === 'latest' ? new Map() : [];
+
+    this.stats = {
+        buffered: 0,    // values in the buffer right now
+        dropped: 0,     // values dropped because the buffer was full
+        replaced: 0,    // values replaced by a newer value for the same resource ('latest' mode)
+        flushed: 0      // values taken out of the buffer to be sent
+    };
+}
+
+/**
+ * Add a value to the buffer
+ * @returns false if the value was dropped because the buffer was full
+ */
+OfflineBuffer.prototype.push = function(route, value) {
+    let entry = { route: route, value: value, time: Date.now() };
+
+    if (this.mode === 'latest' && this._entries.has(route)) {
+        // replace, but move to the end so the buffer stays in time order
+        this._entries.delete(route);
+        this._entries.set(route, entry);
+        this.stats.replaced++;
+        return true;
+    }
+
+    if (this.size() >= this.maxSize) {
+        this.stats.dropped++;
+
+        if (this.overflow === 'drop-newest') return false;
+
+        if (this.mode === 'latest') {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+        else {
+            this._entries.shift();
+        }
+    }
+
+    if (this.mode === 'latest') {
+        this._entries.set(route, entry);
+    }
+    else {
+        this._entries.push(entry);
+    }
+
+    this.stats.buffered = this.size();
+
+    return true;
+};
+
+OfflineBuffer.prototype.size = function() {
+    return this.mode === 'latest' ? this._entries.size : this._entries.length;
+};
+
+/**
+ * Get the oldest entry without taking it out of the buffer
+ * @returns { route, value, time } or undefined when empty
+ */
+OfflineBuffer.prototype.peek = function() {
+    if (this.mode === 'latest') {
+        return this._entries.values().next().value;
+    }
+
+    return this._entries[0];
+};
+
+/**
+ * Take the oldest entry out of the buffer
+ * @returns { route, value, time } or undefined when empty
+ */
+OfflineBuffer.prototype.shift = function() {
+    let entry = this.peek();
+    if (!entry) return undefined;
+
+    if (this.mode === 'latest') {
+        this._entries.delete(entry.route);
+    }
+    else {
+        this._entries.shift();
+    }
+
+    this.stats.flushed++;
+    this.stats.buffered = this.size();
+
+    return entry;
+};
+
+/**
+ * Remove all buffered values for a route, f.e. when the resource is removed
+ */
+OfflineBuffer.prototype.remove = function(route) {
+    if (this.mode === 'latest') {
+        this._entries.delete(route);
+    }
+    else {
+        this._entries = this._entries.filter(e => e.route !== route);
+    }
+
+    this.stats.buffered = this.size();
+};
+
+module.exports = OfflineBuffer;
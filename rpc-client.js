@@ -20,25 +20,63 @@
 
 const promisify = require('es6-promisify');
 const EventEmitter = require('events');
-const fp = require('ieee-float');
-const i64 = require('node-int64');
+const codec = require('./value-codec');
+const OfflineBuffer = require('./offline-buffer');
+const Logger = require('./logger');
+const { ConnectionError, ValidationError } = require('./errors');
+
+// objectId/objectInstanceId/resourceId
+const ROUTE_REGEX = /^\d+\/\d+\/\d+$/;
+
+// LwM2M notification attributes, see setAttributes()
+const ATTRIBUTES = [ 'pmin', 'pmax', 'step', 'gt', 'lt' ];
 
 /**
  * RPCClient for Mbed Edge
  * @param {*} edgeRpc Instance of edge-rpc-client
+ * @param {string} id Device ID
+ * @param {object} options Optional settings
+ *   - offlineBuffer: buffer values that are set while Mbed Edge is unreachable, see offline-buffer.js
+ *     for the options. Values are sent after flushOfflineBuffer() is called. (default: disabled)
+ *   - logger, logLevel: see logger.js
+ *
+ * Emits 'value-updated' (route, value) when Mbed Cloud wrote a new value to a resource, and
+ * 'attributes-updated' (route, attributes) when the notification attributes of a route changed.
  */
-function RPCClient(edgeRpc, id) {
+function RPCClient(edgeRpc, id, options) {
     EventEmitter.call(this);
 
+    options = options || {};
+
     this.edgeRpc = edgeRpc;
     this.id = id;
+    this.log = Logger.create(options).child({ deviceId: id });
     this.rpcId = id;
     this.is_open = () => edgeRpc.is_open();
     this.routes = {};
 
     this._onTerminateQueue = [];
+    // route => function that removes the listeners for the route
+    this._routeDisposers = {};
+    // route => timer for the next refresh through the read handler, see setReadHandler()
+    this._refreshTimers = {};
+    // route => { value, sentAt, pending, timer } for routes with notification attributes
+    this._notifications = {};
+    this._terminated = false;
 
     this.is_registered = false;
+    // whether Mbed Edge knows the device: it forgets it when the connection drops, until
+    // the device is registered again (see MbedDevice.reregister)
+    this._active = false;
+
+    let onDisconnected = () => {
+        this._active = false;
+    };
+    edgeRpc.on('disconnected', onDisconnected);
+    this._onTerminateQueue.push(() => edgeRpc.removeListener('disconnected', onDisconnected));
+
+    this.offlineBuffer = options.offlineBuffer ? new OfflineBuffer(options.offlineBuffer) : null;
+    this._flushing = false;
 }
 
 RPCClient.prototype = Object.create(EventEmitter.prototype);
@@ -54,26 +92,240 @@ RPCClient.prototype.open = function() {
 RPCClient.prototype._setValue = function(route, newValue) {
     if (route.indexOf('/') === 0) route = route.substr(1); // should be fixed higher up
 
-    if (!this.is_open) return Promise.reject('RPC Channel is closed');
-    if (!this.routes[route]) return Promise.reject(`Unknown route '${route}'`);
+    // after a reconnect, values wait until the device is registered again
+    let stale = this.is_registered && !this._active;
+    let buffer = this.offlineBuffer && (!this.is_open() || stale || this._flushing);
+
+    if (!this.is_open() && !buffer) return Promise.reject(new ConnectionError('RPC Channel is closed'));
+    if (stale && !buffer) return Promise.reject(new ConnectionError('Device is not registered with Mbed Edge yet'));
+    if (!this.routes[route]) return Promise.reject(new ValidationError(`Unknown route '${route}'`));
 
     let r = this.routes[route];
-    if (r.type === 'function') return Promise.reject('Route type is function, cannot set value');
+    if (r.type === 'function') return Promise.reject(new ValidationError('Route type is function, cannot set value'));
 
     r.value = newValue;
+    r.updatedAt = Date.now();
 
-    return this.edgeRpc.sendJsonRpc('write', {
-        'deviceId': this.rpcId,
-        'objects': this._getObjectModel()
+    if (buffer) {
+        // also used while flushing, so buffered values keep their order
+        if (!this.offlineBuffer.push(route, newValue)) {
+            this.log.warn('Offline buffer is full, dropped value', { route: route });
+        }
+        return Promise.resolve('buffered');
+    }
+
+    if (r.attributes) return this._notify(route);
+
+    return this.writeRoutes([ route ]);
+};
+
+/**
+ * Send the value of a route with notification attributes, or hold it back
+ * @returns Promise that resolves with 'throttled' when the value is not sent right away
+ */
+RPCClient.prototype._notify = function(route) {
+    let r = this.routes[route];
+    let n = this._notifications[route] || {};
+
+    if (!crossesThreshold(r.attributes, n.value, r.value)) return Promise.resolve('throttled');
+
+    let wait = r.attributes.pmin ? n.sentAt + r.attributes.pmin * 1000 - Date.now() : 0;
+    if (wait > 0) {
+        // sends the latest value once pmin is over
+        if (!n.pending) {
+            n.pending = setTimeout(() => {
+                n.pending = null;
+                this.writeRoutes([ route ]).catch(ex => {
+                    this.log.warn('Sending throttled value failed', { route: route, err: ex });
+                });
+            }, wait);
+            if (n.pending.unref) n.pending.unref();
+        }
+        return Promise.resolve('throttled');
+    }
+
+    return this.writeRoutes([ route ]);
+};
+
+/**
+ * Whether a numeric value moved far enough from the last value that was sent.
+ * Without step, gt and lt (or for other types) every value is sent.
+ */
+function crossesThreshold(attributes, last, value) {
+    let conditions = [ 'step', 'gt', 'lt' ].filter(k => typeof attributes[k] === 'number');
+
+    if (conditions.length === 0 || typeof last !== 'number' || typeof value !== 'number') return true;
+
+    return conditions.some(k => {
+        switch (k) {
+            case 'step': return Math.abs(value - last) >= attributes.step;
+            case 'gt': return (last > attributes.gt) !== (value > attributes.gt);
+            case 'lt': return (last < attributes.lt) !== (value < attributes.lt);
+        }
     });
+}
+
+/**
+ * Remember the value that Mbed Edge has for routes with notification attributes,
+ * and start the maximum period over
+ */
+RPCClient.prototype._markSent = function(routes) {
+    for (let route of routes) {
+        let r = this.routes[route];
+        if (!r || !r.attributes) continue;
+
+        let n = this._notifications[route] = this._notifications[route] || {};
+        n.value = r.value;
+        n.sentAt = Date.now();
+
+        clearTimeout(n.pending);
+        n.pending = null;
+
+        this._schedulePmax(route);
+    }
+};
+
+RPCClient.prototype._schedulePmax = function(route) {
+    let n = this._notifications[route];
+    if (!n) return;
+
+    clearTimeout(n.timer);
+    n.timer = null;
+
+    let r = this.routes[route];
+    if (this._terminated || !r || !r.attributes || !r.attributes.pmax) return;
+
+    n.timer = setTimeout(() => {
+        n.timer = null;
+
+        // not registered right now, wait another period
+        if (!this._active || !this.is_open()) return this._schedulePmax(route);
+
+        this.writeRoutes([ route ]).catch(ex => {
+            this.log.warn('Sending value after maximum period failed', { route: route, err: ex });
+        });
+    }, r.attributes.pmax * 1000);
+    if (n.timer.unref) n.timer.unref();
+};
+
+/**
+ * Set LwM2M notification attributes of an observable resource. They decide when values
+ * from setValue are sent to Mbed Edge:
+ *   - pmin: send at most one value per `pmin` seconds, the latest value is sent when the period is over
+ *   - pmax: send the value again when nothing was sent for `pmax` seconds
+ *   - step: only send values that differ at least `step` from the last value that was sent
+ *   - gt, lt: only send values that cross this threshold
+ * step, gt and lt are for 'int' and 'float' resources, a value is sent when any of them holds.
+ * @param {string} route Route in the form '3200/0/5501'
+ * @param {object} attributes Attributes to change, null removes an attribute. Pass null to remove all.
+ * @returns The attributes of the route
+ */
+RPCClient.prototype.setAttributes = function(route, attributes) {
+    let r = this.routes[route];
+    if (!r) throw new ValidationError(`Unknown route '${route}'`);
+    if (r.type === 'function') throw new ValidationError('Route type is function, cannot set attributes');
+    if (!r.observable) throw new ValidationError(`Route '${route}' is not observable, cannot set attributes`);
+
+    let merged = attributes === null ? {} : Object.assign({}, r.attributes);
+
+    for (let key of Object.keys(attributes || {})) {
+        if (ATTRIBUTES.indexOf(key) === -1) {
+            throw new ValidationError(`Unknown attribute '${key}', use one of ${ATTRIBUTES.join(', ')}`);
+        }
+
+        let value = attributes[key];
+        if (value === null || typeof value === 'undefined') {
+            delete merged[key];
+            continue;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new ValidationError(`Attribute '${key}' should be a number, but was ${JSON.stringify(value)}`);
+        }
+        if ((key === 'pmin' || key === 'pmax' || key === 'step') && value < 0) {
+            throw new ValidationError(`Attribute '${key}' should not be negative`);
+        }
+        if ((key === 'step' || key === 'gt' || key === 'lt') && r.type !== 'int' && r.type !== 'float') {
+            throw new ValidationError(`Attribute '${key}' is only for numeric routes, '${route}' is ${r.type}`);
+        }
+        merged[key] = value;
+    }
+
+    if (typeof merged.pmin === 'number' && typeof merged.pmax === 'number' && merged.pmax < merged.pmin) {
+        throw new ValidationError(`Attribute 'pmax' (${merged.pmax}) should not be less than 'pmin' (${merged.pmin})`);
+    }
+    if (typeof merged.lt === 'number' && typeof merged.gt === 'number' && merged.lt >= merged.gt) {
+        throw new ValidationError(`Attribute 'lt' (${merged.lt}) should be less than 'gt' (${merged.gt})`);
+    }
+
+    r.attributes = Object.keys(merged).length > 0 ? merged : undefined;
+
+    if (r.attributes) {
+        // the value that Mbed Edge has is the starting point
+        let n = this._notifications[route] = this._notifications[route] || {};
+        if (!n.sentAt) {
+            n.value = r.value;
+            n.sentAt = Date.now();
+        }
+        this._schedulePmax(route);
+    }
+    else {
+        this._clearNotification(route);
+    }
+
+    this.log.debug('Notification attributes changed', { route: route, attributes: r.attributes });
+    this.emit('attributes-updated', route, Object.assign({}, r.attributes));
+
+    return Object.assign({}, r.attributes);
+};
+
+/**
+ * Notification attributes of a route, see setAttributes()
+ */
+RPCClient.prototype.getAttributes = function(route) {
+    let r = this.routes[route];
+    if (!r) throw new ValidationError(`Unknown route '${route}'`);
+
+    return Object.assign({}, r.attributes);
+};
+
+/**
+ * Set notification attributes from a LwM2M Write-Attributes query, f.e.
+ * '3303/0/5700?pmin=10&pmax=60&st=0.5'. Attributes without value ('pmin') are removed.
+ * @returns The attributes of the route
+ */
+RPCClient.prototype.writeAttributes = function(query) {
+    let [ route, params ] = String(query).trim().replace(/^\//, '').split('?');
+
+    if (!ROUTE_REGEX.test(route)) {
+        throw new ValidationError(`Attributes should be of format "3303/0/5700?pmin=10&pmax=60", but was '${query}'`);
+    }
+
+    let attributes = {};
+    for (let param of (params || '').split('&').filter(p => p)) {
+        let [ key, value ] = param.split('=');
+        if (key === 'st') key = 'step';
+
+        attributes[key] = typeof value === 'undefined' || value === '' ? null : Number(value);
+    }
+
+    return this.setAttributes(route, attributes);
+};
+
+RPCClient.prototype._clearNotification = function(route) {
+    let n = this._notifications[route];
+    if (!n) return;
+
+    clearTimeout(n.pending);
+    clearTimeout(n.timer);
+    delete this._notifications[route];
 };
 
 RPCClient.prototype._createResource = function(type, route, value, opr, observable, callback) {
     let self = this;
 
-    if (!this.is_open()) return Promise.reject('RPC Channel is closed');
-    if (!/^(\d)+\/\d\/(\d+)$/.test(route)) return Promise.reject('route should be of format "3200/0/5501"');
-    if (typeof value === 'undefined') return Promise.reject('value is required');
+    if (!this.is_open()) return Promise.reject(new ConnectionError('RPC Channel is closed'));
+    if (!ROUTE_REGEX.test(route)) return Promise.reject(new ValidationError('route should be of format "3200/0/5501"'));
+    if (typeof value === 'undefined') return Promise.reject(new ValidationError('value is required'));
 
     if (typeof opr === 'function') {
         callback = opr;
@@ -87,6 +339,8 @@ RPCClient.prototype._createResource = function(type, route, value, opr, observab
     if (typeof opr === 'undefined') opr = RPCClient.GET_PUT_ALLOWED;
     if (typeof observable === 'undefined') observable = true;
 
+    this._disposeRoute(route);
+
     let o = this.routes[route] = {
         type: type,
         value: value,
@@ -102,26 +356,19 @@ RPCClient.prototype._createResource = function(type, route, value, opr, observab
         if (deviceId !== this.id) return;
         if (route !== r_route) return;
 
-        if (type === 'int') {
-            let value = new i64(newValue) + 0;
-
-            o.value = value;
-        }
-        else if (type === 'float') {
-            let value = fp.readDoubleBE(newValue);
-
-            o.value = value;
+        try {
+            o.value = codec.decode(type, newValue);
+            o.updatedAt = Date.now();
         }
-        else {
-            o.value = newValue.toString('utf-8');
+        catch (ex) {
+            this.log.warn('Cannot decode value', { route: route, type: type, err: ex.message });
+            return;
         }
-    };
 
-    this.edgeRpc.on('resource-updated', onUpdated);
+        this.emit('value-updated', route, o.value);
+    };
 
-    this._onTerminateQueue.push(() => {
-        this.edgeRpc.removeListener('resource-updated', onUpdated);
-    })
+    this._addRouteListener(route, 'resource-updated', onUpdated);
 
     // actual adding happens in register call
     return Promise.resolve(o);
@@ -139,9 +386,23 @@ RPCClient.prototype.createResourceFloat = function(route, value, opr, observable
     return this._createResource('float', route, value, opr, observable, callback);
 };
 
+RPCClient.prototype.createResourceBoolean = function(route, value, opr, observable, callback) {
+    return this._createResource('bool', route, value, opr, observable, callback);
+};
+
+RPCClient.prototype.createResourceTime = function(route, value, opr, observable, callback) {
+    return this._createResource('time', route, value, opr, observable, callback);
+};
+
+RPCClient.prototype.createResourceOpaque = function(route, value, opr, observable, callback) {
+    return this._createResource('opaque', route, value, opr, observable, callback);
+};
+
 RPCClient.prototype.createFunction = function(route, callback) {
-    if (!this.is_open()) return Promise.reject('RPC Channel is closed');
-    if (!/^(\d)+\/\d\/(\d+)$/.test(route)) return Promise.reject('route should be of format "3200/0/5501"');
+    if (!this.is_open()) return Promise.reject(new ConnectionError('RPC Channel is closed'));
+    if (!ROUTE_REGEX.test(route)) return Promise.reject(new ValidationError('route should be of format "3200/0/5501"'));
+
+    this._disposeRoute(route);
 
     this.routes[route] = {
         type: 'function',
@@ -161,20 +422,217 @@ RPCClient.prototype.createFunction = function(route, callback) {
         }
     };
 
-    this.edgeRpc.on('resource-executed', onExecuted);
-
-    this._onTerminateQueue.push(() => {
-        this.edgeRpc.removeListener('resource-executed', onExecuted);
-    });
+    this._addRouteListener(route, 'resource-executed', onExecuted);
 
     // actual adding happens in register call
     return Promise.resolve();
 };
 
-RPCClient.prototype._getObjectModel = function() {
+RPCClient.prototype._addRouteListener = function(route, event, fn) {
+    this.edgeRpc.on(event, fn);
+
+    this._routeDisposers[route] = () => {
+        this.edgeRpc.removeListener(event, fn);
+    };
+};
+
+RPCClient.prototype._disposeRoute = function(route) {
+    if (this._routeDisposers[route]) {
+        this._routeDisposers[route]();
+        delete this._routeDisposers[route];
+    }
+
+    clearTimeout(this._refreshTimers[route]);
+    delete this._refreshTimers[route];
+
+    this._clearNotification(route);
+};
+
+/**
+ * Read the value of a resource from the physical device on demand, instead of keeping
+ * it up to date all the time.
+ * @param {string} route Route in the form '3200/0/5501'
+ * @param {function} handler Async function(route) that returns the current value
+ * @param {object} options Optional settings
+ *   - ttl: how long (ms) a value stays fresh, readRoute() only calls the handler for stale
+ *     values (default: 0, always call the handler)
+ *   - refresh: also call the handler every `ttl` ms while the device is registered (default: false)
+ */
+RPCClient.prototype.setReadHandler = function(route, handler, options) {
+    options = options || {};
+
+    let r = this.routes[route];
+    if (!r) throw new ValidationError(`Unknown route '${route}'`);
+    if (r.type === 'function') throw new ValidationError('Route type is function, cannot read value');
+
+    r.readHandler = handler;
+    r.ttl = options.ttl || 0;
+    r.refresh = !!options.refresh;
+
+    this._scheduleRefresh(route);
+};
+
+/**
+ * Get the value of a resource. If the route has a read handler and the value is stale
+ * (or `force` is set), the value is read through the handler first and written to Mbed Edge.
+ * Concurrent calls share one call to the handler.
+ * Emits 'value-read' (route, value) when the handler returned a value.
+ * @returns Promise that holds the value
+ */
+RPCClient.prototype.readRoute = function(route, force) {
+    let r = this.routes[route];
+    if (!r) return Promise.reject(new ValidationError(`Unknown route '${route}'`));
+
+    if (!r.readHandler) return Promise.resolve(r.value);
+    if (!force && r.updatedAt && Date.now() - r.updatedAt < r.ttl) return Promise.resolve(r.value);
+
+    if (r.reading) return r.reading;
+
+    r.reading = (async () => {
+        try {
+            let value = await r.readHandler(route);
+            let changed = value !== r.value;
+
+            r.value = value;
+            r.updatedAt = Date.now();
+            this.emit('value-read', route, value);
+
+            if (changed) {
+                try {
+                    await this._setValue(route, value);
+                }
+                catch (ex) {
+                    this.log.warn('Writing value from read handler failed', { route: route, err: ex });
+                }
+            }
+
+            return value;
+        }
+        finally {
+            r.reading = null;
+            this._scheduleRefresh(route);
+        }
+    })();
+
+    return r.reading;
+};
+
+RPCClient.prototype._scheduleRefresh = function(route) {
+    clearTimeout(this._refreshTimers[route]);
+    delete this._refreshTimers[route];
+
+    let r = this.routes[route];
+    if (this._terminated || !r || !r.readHandler || !r.refresh || !r.ttl) return;
+
+    let timer = this._refreshTimers[route] = setTimeout(() => {
+        delete this._refreshTimers[route];
+
+        // try again later, f.e. while reconnecting to Mbed Edge
+        if (!this._active || !this.is_open()) return this._scheduleRefresh(route);
+
+        this.readRoute(route, true).catch(ex => {
+            this.log.warn('Refreshing value failed', { route: route, err: ex });
+        });
+    }, r.ttl);
+
+    // don't keep the process alive just for this
+    if (timer.unref) timer.unref();
+};
+
+/**
+ * Remove a resource or function. This only changes the local model, call
+ * register() to update the registration in Mbed Edge.
+ * @param {string} route Route in the form '3200/0/5501'
+ */
+RPCClient.prototype.removeRoute = function(route) {
+    if (!this.routes[route]) return false;
+
+    this._disposeRoute(route);
+    delete this.routes[route];
+
+    if (this.offlineBuffer) {
+        this.offlineBuffer.remove(route);
+    }
+
+    return true;
+};
+
+/**
+ * Send the current values for a set of routes to Mbed Edge. Routes that Mbed Edge
+ * does not know yet are created. Only these routes are sent, not the whole model.
+ * @param {string[]} routes Array of routes in the form '3200/0/5501'
+ */
+RPCClient.prototype.writeRoutes = function(routes) {
+    if (!this.is_open()) return Promise.reject(new ConnectionError('RPC Channel is closed'));
+
+    let unknown = routes.find(r => !this.routes[r]);
+    if (unknown) return Promise.reject(new ValidationError(`Unknown route '${unknown}'`));
+
+    this._markSent(routes);
+
+    // routes can be removed while a coalesced write is pending
+    return this.edgeRpc.queueWrite(this.rpcId, routes, rs => this._getObjectModel(rs.filter(r => this.routes[r])));
+};
+
+/**
+ * Send the values that were buffered while Mbed Edge was unreachable. Call this
+ * after the device was registered again.
+ */
+RPCClient.prototype.flushOfflineBuffer = async function() {
+    if (!this.offlineBuffer || this._flushing) return;
+
+    this._flushing = true;
+
+    try {
+        let buffer = this.offlineBuffer;
+
+        if (buffer.mode === 'latest') {
+            // the routes hold the latest values already, so one write is enough
+            while (buffer.size() > 0) {
+                let routes = [];
+                let entry;
+                while ((entry = buffer.shift())) {
+                    if (this.routes[entry.route]) routes.push(entry.route);
+                }
+                if (routes.length > 0) {
+                    await this.writeRoutes(routes);
+                }
+            }
+        }
+        else {
+            // replay every value in order, only drop it from the buffer once it was sent
+            let entry;
+            while ((entry = buffer.peek())) {
+                if (this.routes[entry.route]) {
+                    await this.edgeRpc.sendJsonRpc('write', {
+                        'deviceId': this.rpcId,
+                        'objects': this._getObjectModel([ entry.route ], { [entry.route]: entry.value })
+                    });
+                }
+                buffer.shift();
+            }
+        }
+    }
+    finally {
+        this._flushing = false;
+    }
+};
+
+RPCClient.prototype.getOfflineBufferStats = function() {
+    if (!this.offlineBuffer) return null;
+
+    return Object.assign({}, this.offlineBuffer.stats);
+};
+
+/**
+ * Build the object model as expected by Mbed Edge
+ * @param {string[]} routes Only include these routes (default: all routes)
+ * @param {object} values Use these values instead of the current values (route => value)
+ */
+RPCClient.prototype._getObjectModel = function(routes, values) {
     let objs = [];
 
-    for (let route of Object.keys(this.routes)) {
+    for (let route of routes || Object.keys(this.routes)) {
         // Mbed Edge only supports numbers...
         let [objId, objInstId, resId] = route.split('/').map(Number);
 
@@ -190,43 +648,27 @@ RPCClient.prototype._getObjectModel = function() {
             obj['objectInstances'].push(objInst);
         }
 
-        let valueBuffer;
-
         let r = this.routes[route];
 
-        switch (r.type) {
-            case 'string':
-                valueBuffer = new Buffer((r.value || '').toString(), 'utf-8');
-                break;
-
-            case 'float':
-                if (typeof r.value !== 'number') r.value = Number(r.value);
-
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeFloatBE(r.value);
-                break;
-
-            case 'int':
-                if (typeof r.value !== 'number') r.value = Number(r.value);
-
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeInt32BE(r.value);
-                break;
-
-            case 'function':
-                valueBuffer = new Buffer('', 'utf-8');
-                break;
-
-            default:
-                console.warn('Undefined type for route', route, r.type);
-                valueBuffer = new Buffer('', 'utf-8');
-                break;
+        let valueBuffer;
+        if (r.type === 'function') {
+            valueBuffer = Buffer.alloc(0);
+        }
+        else {
+            try {
+                let value = values && route in values ? values[route] : r.value;
+                valueBuffer = codec.encode(r.type, value);
+            }
+            catch (ex) {
+                this.log.warn('Cannot encode value', { route: route, type: r.type, err: ex.message });
+                valueBuffer = Buffer.alloc(0);
+            }
         }
 
         objInst.resources.push({
             'resourceId': resId,
-            'operations': this.routes[route].opr,
-            'type': this.routes[route].type === 'function' ? 'opaque' : this.routes[route].type,
+            'operations': r.opr,
+            'type': r.type === 'function' ? 'opaque' : r.type,
             'value': valueBuffer.toString('base64')
         });
     }
@@ -241,11 +683,52 @@ RPCClient.prototype.register = async function() {
     });
 
     this.is_registered = true;
+    this._active = true;
+
+    this._markSent(Object.keys(this.routes));
 
     // FIXME: should return the real endpoint... this is a workaround
     return this.rpcId;
 };
 
+/**
+ * Remove routes from a registered device. Mbed Edge has no call to delete resources and
+ * rejects `device_register` for a registered device, so the device is unregistered and
+ * registered again without the routes. The routes are only removed when that succeeded,
+ * otherwise the old model is registered again.
+ * @param {string[]} routes Array of routes in the form '3200/0/5501'
+ */
+RPCClient.prototype.removeRoutes = async function(routes) {
+    let keep = Object.keys(this.routes).filter(r => routes.indexOf(r) === -1);
+
+    await this.unregister();
+
+    try {
+        await this.edgeRpc.sendJsonRpc('device_register', {
+            'deviceId': this.rpcId,
+            'objects': this._getObjectModel(keep)
+        });
+    }
+    catch (ex) {
+        try {
+            await this.register();
+        }
+        catch (ex2) {
+            this.log.warn('Registering the old model again failed', { err: ex2 });
+        }
+        throw ex;
+    }
+
+    this.is_registered = true;
+    this._active = true;
+
+    for (let route of routes) {
+        this.removeRoute(route);
+    }
+
+    this._markSent(keep);
+};
+
 RPCClient.prototype.unregister = async function() {
     if (!this.is_registered) return true;
 
@@ -254,11 +737,18 @@ RPCClient.prototype.unregister = async function() {
     });
 
     this.is_registered = false;
+    this._active = false;
 };
 
 RPCClient.prototype.terminate = function() {
     clearInterval(this._getQueueIv);
 
+    this._terminated = true;
+
+    for (let route of Object.keys(this._routeDisposers)) {
+        this._disposeRoute(route);
+    }
+
     for (let fn of this._onTerminateQueue) {
         fn();
     }
@@ -0,0 +1,137 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const Constraints = require('../constraints');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const { ValidationError } = require('../errors');
+
+describe('constraints', function() {
+    function rejects(l, value, constraint) {
+        assert.throws(() => Constraints.validate(l, value), err => {
+            assert(err instanceof ValidationError);
+            assert.strictEqual(err.constraint, constraint);
+            assert.strictEqual(err.path, l.path);
+            return true;
+        });
+    }
+
+    it('rejects NaN and non-numbers for numeric resources', function() {
+        let l = { path: '/3303/0/5700', type: 'float' };
+
+        Constraints.validate(l, 21.5);
+        Constraints.validate(l, '21.5');
+        rejects(l, NaN, 'type');
+        rejects(l, Infinity, 'type');
+        rejects(l, 'warm', 'type');
+        rejects(l, true, 'type');
+        rejects({ path: '/3303/0/5700', rpcType: 'Int' }, NaN, 'type');
+    });
+
+    it('checks min, max and integer', function() {
+        let l = { path: '/3311/0/5851', type: 'int', min: 0, max: 100, integer: true };
+
+        Constraints.validate(l, 0);
+        Constraints.validate(l, 100);
+        rejects(l, -1, 'min');
+        rejects(l, 101, 'max');
+        rejects(l, 50.5, 'integer');
+    });
+
+    it('checks enum, maxLength and pattern', function() {
+        Constraints.validate({ path: '/1/0/1', enum: [ 'Cel', 'Far' ] }, 'Cel');
+        rejects({ path: '/1/0/1', enum: [ 'Cel', 'Far' ] }, 'K', 'enum');
+
+        Constraints.validate({ path: '/1/0/1', maxLength: 4 }, 'abcd');
+        rejects({ path: '/1/0/1', maxLength: 4 }, 'abcde', 'maxLength');
+        rejects({ path: '/1/0/1', maxLength: 1 }, Buffer.from([ 1, 2 ]), 'maxLength');
+
+        Constraints.validate({ path: '/1/0/1', pattern: /^[a-f0-9]+$/ }, 'abc123');
+        Constraints.validate({ path: '/1/0/1', pattern: '^[a-f0-9]+$' }, 'abc123');
+        rejects({ path: '/1/0/1', pattern: '^[a-f0-9]+$' }, 'xyz', 'pattern');
+    });
+
+    it('checks the constraints themselves', function() {
+        assert.deepStrictEqual(Constraints.check({ min: 0, max: 10, enum: [ 1 ], pattern: /a/ }), []);
+        assert.deepStrictEqual(Constraints.check({ min: 10, max: 'a', integer: 1, enum: [], pattern: '(' }).map(e => e.constraint),
+            [ 'max', 'integer', 'enum', 'pattern' ]);
+        assert.deepStrictEqual(Constraints.check({ min: 10, max: 0 }).map(e => e.constraint), [ 'min' ]);
+    });
+
+    describe('on devices', function() {
+        let core, edge, device;
+
+        beforeEach(async function() {
+            core = new MockEdgeCore();
+            await core.start();
+
+            edge = new RemoteClientService(core.url, 'test-pt');
+            await edge.init();
+
+            device = await edge.createCloudDevice('dev1', 'test');
+            await device.register([
+                { path: '/3311/0/5851', operation: [ 'GET', 'PUT' ], type: 'int', value: 10, min: 0, max: 100 },
+                { path: '/3341/0/5527', operation: [ 'GET', 'PUT' ], value: 'a', maxLength: 4 },
+                { object: 'device', resource: 'batteryLevel', value: 80 }
+            ], false);
+        });
+
+        afterEach(async function() {
+            await edge.deinit();
+            await core.stop();
+        });
+
+        it('rejects invalid local values', async function() {
+            await assert.rejects(device.setValue('/3311/0/5851', 101), ValidationError);
+            await assert.rejects(device.setValue('/3311/0/5851', NaN), ValidationError);
+            // range from the object registry
+            await assert.rejects(device.get('device/0/batteryLevel').setValue(120), /should be at most 100/);
+
+            assert.strictEqual(device.resources['/3311/0/5851'].value, 10);
+            assert.strictEqual(core.getValue('dev1', '3311/0/5851'), 10);
+
+            await device.setValue('/3311/0/5851', 100);
+            assert.strictEqual(core.getValue('dev1', '3311/0/5851'), 100);
+        });
+
+        it('rejects invalid writes from Mbed Cloud', async function() {
+            await assert.rejects(core.write('dev1', '3341/0/5527', 'too long'), err => {
+                assert.strictEqual(err.code, -32602);
+                assert(/should be at most 4 characters long/.test(err.message));
+                return true;
+            });
+            await assert.rejects(core.write('dev1', '3311/0/5851', -5), err => err.code === -32602);
+
+            assert.strictEqual(device.resources['/3341/0/5527'].value, 'a');
+            assert.strictEqual(core.getValue('dev1', '3341/0/5527'), 'a');
+
+            await core.write('dev1', '3341/0/5527', 'ok');
+            assert.strictEqual(device.resources['/3341/0/5527'].value, 'ok');
+        });
+
+        it('rejects invalid initial values and constraints', async function() {
+            await assert.rejects(device.addResource({ path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 5, min: 10 }),
+                /should be at least 10/);
+            await assert.rejects(device.addResource({ path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 5, min: 'low' }),
+                /Invalid constraint 'min'/);
+        });
+    });
+});
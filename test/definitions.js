@@ -0,0 +1,130 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const { ValidationError } = require('../errors');
+const { validate } = require('../definitions');
+
+describe('definitions', function() {
+    let core, edge;
+
+    beforeEach(async function() {
+        core = new MockEdgeCore();
+        await core.start();
+
+        edge = new RemoteClientService(core.url, 'test-pt');
+        await edge.init();
+    });
+
+    afterEach(async function() {
+        await edge.deinit();
+        await core.stop();
+    });
+
+    it('creates and registers devices from a YAML file', async function() {
+        let devices = await edge.loadDefinitions(Path.join(__dirname, 'fixtures', 'devices.yaml'));
+
+        assert.deepStrictEqual(devices.map(d => d.id), [ 'thermometer-1', 'thermometer-2', 'switch-1' ]);
+        assert(devices.every(d => d.getRegistrationStatus()));
+        assert.strictEqual(devices[0].clientType, 'thermometer');
+
+        assert.strictEqual(core.getValue('thermometer-1', '3303/0/5700'), 21.5);
+        assert.strictEqual(core.getValue('thermometer-2', '3303/0/5700'), 19.5);
+        assert.strictEqual(core.getValue('thermometer-1', '3303/0/5701'), 'Cel');
+        assert.strictEqual(devices[0].resources['/3303/0/5701'].observable, false);
+
+        // update resources from the template
+        assert(core.getResource('thermometer-1', '5/0/0'));
+        assert(!core.getResource('switch-1', '5/0/0'));
+
+        assert.strictEqual(core.getValue('switch-1', '3311/0/5850'), false);
+        assert.strictEqual(core.getValue('switch-1', '3311/0/5851').getTime(), Date.UTC(2017, 6, 14, 2, 40));
+        assert(core.getResource('switch-1', '3311/0/5523'));
+    });
+
+    it('accepts an object and leaves registered devices alone', async function() {
+        let defs = {
+            templates: {
+                button: {
+                    resources: [ { path: '3321/0/5501', operation: [ 'GET', 'PUT' ], type: 'int', value: 1 } ]
+                }
+            },
+            devices: [ { id: 'button-1', clientType: 'button' } ]
+        };
+
+        let [ device ] = await edge.loadDefinitions(defs);
+        assert.strictEqual(device.resources['/3321/0/5501'].value, 1);
+
+        await device.setValue('/3321/0/5501', 5);
+
+        let [ again ] = await edge.loadDefinitions(defs);
+        assert.strictEqual(again, device);
+        assert.strictEqual(core.getValue('button-1', '3321/0/5501'), 5);
+    });
+
+    it('rejects invalid definitions with all errors', async function() {
+        let defs = {
+            templates: {
+                thermometer: {
+                    supportsUpdate: true,
+                    resources: [
+                        { path: '3303/0', operation: [ 'GET' ], value: 1 },
+                        { path: '/3303/0/5701', operation: [ 'READ' ], type: 'double' },
+                        { path: '/3303/0/5701', operation: [ 'GET' ], value: 'Cel' }
+                    ]
+                }
+            },
+            devices: [
+                { id: 'a', clientType: 'thermometer', values: { '/3303/0/9999': 1 } },
+                { id: 'a', clientType: 'hygrometer' }
+            ]
+        };
+
+        assert.deepStrictEqual(validate(defs), [
+            'templates.thermometer.vendorId: is required when supportsUpdate is set',
+            'templates.thermometer.classId: is required when supportsUpdate is set',
+            'templates.thermometer.updateCertificate: is required when supportsUpdate is set',
+            'templates.thermometer.resources[0].path: should be of format "/3200/0/5501"',
+            'templates.thermometer.resources[1].operation: should be a non-empty array of GET, PUT, POST',
+            'templates.thermometer.resources[1].type: unknown type \'double\', should be one of string, int, float, boolean, bool, time, opaque',
+            'templates.thermometer.resources[1].value: is required',
+            'templates.thermometer.resources[2].path: duplicate resource \'/3303/0/5701\'',
+            'devices[0].values: resource \'/3303/0/9999\' is not in template \'thermometer\'',
+            'devices[1].id: duplicate device \'a\'',
+            'devices[1].clientType: unknown template \'hygrometer\''
+        ]);
+
+        await assert.rejects(edge.loadDefinitions(defs), err => {
+            assert(err instanceof ValidationError);
+            assert(/^Invalid device definitions:/.test(err.message));
+            assert.strictEqual(err.errors.length, 11);
+            return true;
+        });
+        assert.deepStrictEqual(await edge.listDevices(), []);
+    });
+
+    it('rejects files that cannot be parsed', async function() {
+        await assert.rejects(edge.loadDefinitions(Path.join(__dirname, 'fixtures', 'update.der')),
+            /Cannot parse device definitions/);
+    });
+});
@@ -0,0 +1,280 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const http = require('http');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const { JsonFileStore, MemoryStore } = require('../device-store');
+const { once, waitFor } = require('./helpers');
+
+const FIXTURES = Path.join(__dirname, 'fixtures', 'manifests');
+const fixture = name => fs.readFileSync(Path.join(FIXTURES, name));
+const ids = require('./fixtures/manifests/ids.json');
+
+describe('device-store', function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'edge-store-'));
+    });
+
+    afterEach(function() {
+        for (let file of fs.readdirSync(dir)) {
+            fs.unlinkSync(Path.join(dir, file));
+        }
+        fs.rmdirSync(dir);
+    });
+
+    describe('JsonFileStore', function() {
+        it('starts empty when the file does not exist', async function() {
+            let store = new JsonFileStore(Path.join(dir, 'devices.json'));
+
+            assert.deepStrictEqual(await store.load(), []);
+        });
+
+        it('saves and removes records', async function() {
+            let file = Path.join(dir, 'devices.json');
+            let store = new JsonFileStore(file);
+
+            await store.save('dev1', { id: 'dev1', clientType: 'test' });
+            await store.save('dev2', { id: 'dev2', clientType: 'test' });
+            await store.remove('dev1');
+
+            let other = new JsonFileStore(file);
+            assert.deepStrictEqual(await other.load(), [ { id: 'dev2', clientType: 'test' } ]);
+            assert.deepStrictEqual(await other.get('dev2'), { id: 'dev2', clientType: 'test' });
+            assert.strictEqual(await other.get('dev1'), null);
+            assert.deepStrictEqual(fs.readdirSync(dir), [ 'devices.json' ]);
+        });
+
+        it('combines saves that happen while writing', async function() {
+            let file = Path.join(dir, 'devices.json');
+            let store = new JsonFileStore(file);
+
+            let saves = [];
+            for (let ix = 0; ix < 20; ix++) {
+                saves.push(store.save('dev1', { id: 'dev1', value: ix }));
+            }
+            await Promise.all(saves);
+
+            assert.deepStrictEqual(await new JsonFileStore(file).load(), [ { id: 'dev1', value: 19 } ]);
+        });
+    });
+
+    describe('with RemoteClientService', function() {
+        let core, edge;
+
+        beforeEach(async function() {
+            core = new MockEdgeCore();
+            await core.start();
+        });
+
+        afterEach(async function() {
+            if (edge) await edge.deinit();
+            edge = null;
+            await core.stop();
+        });
+
+        async function createService(store) {
+            edge = new RemoteClientService(core.url, 'test-pt', { store: store });
+            await edge.init();
+            return edge;
+        }
+
+        it('restores devices with their last values after a restart', async function() {
+            let file = Path.join(dir, 'devices.json');
+
+            await createService(file);
+            let device = await edge.createCloudDevice('dev1', 'sensor');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 21.5 },
+                { path: '/3341/0/5527', operation: [ 'GET', 'PUT' ], value: 'text' },
+                { path: '/3341/0/5750', operation: [ 'GET' ], type: 'time', value: new Date(1500000000000) },
+                { path: '/3341/0/5751', operation: [ 'GET' ], type: 'opaque', value: Buffer.from([ 1, 2, 3 ]) },
+                { path: '/3311/0/5850', operation: [ 'POST' ] }
+            ], false);
+
+            await device.setValue('/3303/0/5700', 22);
+            await core.write('dev1', '3341/0/5527', 'from cloud');
+
+            // restart the translator, Mbed Edge forgets about the device
+            await edge.deinit();
+            await core.stop();
+            core = new MockEdgeCore();
+            await core.start();
+
+            await waitFor(() => {
+                let record = JSON.parse(fs.readFileSync(file, 'utf-8')).devices.dev1;
+                return record.lwm2m.find(l => l.path === '/3341/0/5527').value === 'from cloud';
+            });
+
+            await createService(file);
+            let restored = await edge.restoreDevices();
+
+            assert.strictEqual(restored.length, 1);
+            assert.strictEqual(restored[0].id, 'dev1');
+            assert.strictEqual(restored[0].clientType, 'sensor');
+            assert.strictEqual(restored[0].getRegistrationStatus(), true);
+            assert.deepStrictEqual(await edge.listDevices(), [ 'dev1' ]);
+
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 22);
+            assert.strictEqual(core.getResource('dev1', '3303/0/5700').type, 'float');
+            assert.strictEqual(core.getValue('dev1', '3341/0/5527'), 'from cloud');
+            assert.strictEqual(core.getValue('dev1', '3341/0/5750').getTime(), 1500000000000);
+            assert.deepStrictEqual(core.getValue('dev1', '3341/0/5751'), Buffer.from([ 1, 2, 3 ]));
+            assert(core.getResource('dev1', '3311/0/5850'));
+        });
+
+        it('saves firmware info and resource changes in a custom store', async function() {
+            let store = new MemoryStore();
+
+            await createService(store);
+            let device = await edge.createCloudDevice('dev1', 'sensor');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 21.5 }
+            ], false);
+
+            await device.addResource({ path: '/3303/0/5701', operation: [ 'GET' ], value: 'Cel' });
+            assert.deepStrictEqual(store.records.dev1.lwm2m.map(l => l.path), [ '/3303/0/5700', '/3303/0/5701' ]);
+
+            await device.removeResource('/3303/0/5700');
+            assert.deepStrictEqual(store.records.dev1.lwm2m.map(l => l.path), [ '/3303/0/5701' ]);
+
+            store.records.dev1.fwName = 'abc';
+            store.records.dev1.fwVersion = '1500000000';
+            store.records.dev1.supportsUpdate = true;
+
+            await edge.deinit();
+            await createService(store);
+            let restored = await edge.restoreDevices();
+
+            assert.strictEqual(restored[0].getRegistrationStatus(), true);
+            assert.strictEqual(core.getValue('dev1', '5/0/6'), 'abc');
+            assert.strictEqual(core.getValue('dev1', '5/0/7'), '1500000000');
+        });
+
+        it('keeps the installed firmware when a device registers after a restart', async function() {
+            let store = new MemoryStore();
+
+            // serves the firmware that the fixture manifests point to
+            let server = http.createServer((req, res) => res.end(fixture('firmware.bin')));
+            await new Promise(res => server.listen(8123, '127.0.0.1', res));
+
+            let register = async () => {
+                let device = await edge.createCloudDevice('dev1', 'sensor');
+                await device.register([
+                    { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 21.5 }
+                ], true, ids.vendorId, ids.classId, fixture('update.der'));
+                return device;
+            };
+
+            try {
+                await createService(store);
+                let device = await register();
+
+                let fota = once(device, 'fota');
+                await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+                await fota;
+                await device.setFotaUpdating();
+                await device.setFotaComplete();
+
+                assert.strictEqual(store.records.dev1.fwTimestamp, ids.timestamp);
+            }
+            finally {
+                await new Promise(res => server.close(res));
+            }
+
+            // registered again (not restored), the installed firmware is still there
+            await edge.deinit();
+            await createService(store);
+            let device = await register();
+
+            let hash = crypto.createHash('sha256').update(fixture('firmware.bin')).digest('hex');
+            assert.strictEqual(core.getValue('dev1', '5/0/6'), hash);
+            assert.strictEqual(core.getValue('dev1', '5/0/7'), String(ids.timestamp));
+            assert.deepStrictEqual(device.getInstalledFirmware(), { name: hash, version: String(ids.timestamp), timestamp: ids.timestamp });
+
+            // nothing was downloaded since the restart, so there's nothing new to show
+            await device.setFotaComplete();
+            assert.strictEqual(core.getValue('dev1', '5/0/5'), 1 /* success */);
+            assert.strictEqual(core.getValue('dev1', '5/0/6'), hash);
+            assert.strictEqual(store.records.dev1.fwName, hash);
+            assert.strictEqual(store.records.dev1.fwTimestamp, ids.timestamp);
+        });
+
+        it('rejects manifests that are older than the installed firmware', async function() {
+            let store = new MemoryStore();
+            store.records.dev1 = { id: 'dev1', fwName: 'abc', fwVersion: '2.0.0', fwTimestamp: ids.timestamp + 1 };
+
+            await createService(store);
+            let device = await edge.createCloudDevice('dev1', 'sensor');
+            await device.register([], true, ids.vendorId, ids.classId, fixture('update.der'));
+
+            let rejected = once(edge.trustStore, 'verification');
+            await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+            let [ { error } ] = await rejected;
+
+            assert.strictEqual(error.reason, 'rollback');
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 8 /* ARM_UC_MONITOR_RESULT_ERROR_UPDATE */);
+            assert.strictEqual(core.getValue('dev1', '5/0/6'), 'abc');
+            assert.strictEqual(core.getValue('dev1', '5/0/7'), '2.0.0');
+        });
+
+        it('removes deleted devices from the store', async function() {
+            let store = new MemoryStore();
+
+            await createService(store);
+            let device = await edge.createCloudDevice('dev1', 'sensor');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 21.5 }
+            ], false);
+            assert(store.records.dev1);
+
+            await edge.deleteDevice('dev1');
+            assert.strictEqual(store.records.dev1, undefined);
+        });
+
+        it('skips devices that fail to register', async function() {
+            let store = new MemoryStore();
+            store.records.dev1 = {
+                id: 'dev1',
+                clientType: 'sensor',
+                lwm2m: [ { path: '/3303/0/5700', operation: [ 'GET' ], type: 'double', value: 1 } ]
+            };
+
+            await createService(store);
+
+            assert.deepStrictEqual(await edge.restoreDevices(), []);
+            assert.deepStrictEqual(await edge.listDevices(), []);
+            assert(store.records.dev1);
+        });
+
+        it('requires a store', async function() {
+            await createService();
+
+            await assert.rejects(edge.restoreDevices(), /No store configured/);
+        });
+    });
+});
@@ -0,0 +1,810 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const { RegistrationError, JsonRpcError } = require('../errors');
+const { once, wait, waitFor } = require('./helpers');
+
+describe('MbedDevice', function() {
+    let core, edge, firmwareDirectory;
+
+    beforeEach(async function() {
+        core = new MockEdgeCore();
+        await core.start();
+
+        edge = new RemoteClientService(core.url, 'test-pt', { reconnectDelay: 20, firmware: { directory: firmwareDirectory } });
+        await edge.init();
+    });
+
+    afterEach(async function() {
+        await edge.deinit();
+        await core.stop();
+    });
+
+    async function createDevice(id) {
+        let device = await edge.createCloudDevice(id || 'dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 },
+            { path: '/3311/0/5851', operation: [ 'GET', 'PUT' ], value: 10, type: 'int' },
+            { path: '/3341/0/5527', operation: [ 'GET', 'PUT' ], value: 'text' },
+            { path: '/3311/0/5850', operation: [ 'POST' ] }
+        ], false);
+        return device;
+    }
+
+    it('registers its resources with Mbed Edge', async function() {
+        let device = await createDevice();
+
+        assert.strictEqual(device.endpoint, 'dev1');
+        assert.strictEqual(device.getRegistrationStatus(), true);
+        assert.deepStrictEqual(await edge.listDevices(), [ 'dev1' ]);
+
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+        assert.strictEqual(core.getValue('dev1', '3311/0/5851'), 10);
+        assert.strictEqual(core.getValue('dev1', '3341/0/5527'), 'text');
+        assert.strictEqual(core.getResource('dev1', '3311/0/5850').type, 'opaque');
+    });
+
+    it('sets values', async function() {
+        let device = await createDevice();
+
+        await device.resources['/3311/0/5851'].setValue(11);
+
+        assert.strictEqual(device.resources['/3311/0/5851'].value, 11);
+        assert.strictEqual(core.getValue('dev1', '3311/0/5851'), 11);
+    });
+
+    it('emits put when Mbed Cloud writes a value', async function() {
+        let device = await createDevice();
+
+        let put = once(device, 'put');
+        await core.write('dev1', '3341/0/5527', 'from cloud');
+
+        assert.deepStrictEqual(await put, [ '/3341/0/5527', 'from cloud' ]);
+        assert.strictEqual(device.resources['/3341/0/5527'].value, 'from cloud');
+    });
+
+    it('lets a write handler reject writes from Mbed Cloud', async function() {
+        let device = await createDevice();
+        let puts = [];
+        device.on('put', (path, value) => puts.push(value));
+
+        device.setWriteHandler(async (path, value) => {
+            if (value > 50) throw new Error('Setpoint out of range');
+        });
+
+        await assert.rejects(core.write('dev1', '3311/0/5851', 80), err => err.message === 'Setpoint out of range');
+
+        assert.strictEqual(device.resources['/3311/0/5851'].value, 10);
+        assert.strictEqual(device.rpcClient.routes['3311/0/5851'].value, 10);
+        assert.deepStrictEqual(puts, []);
+
+        await core.write('dev1', '3311/0/5851', 40);
+        assert.strictEqual(device.resources['/3311/0/5851'].value, 40);
+        assert.deepStrictEqual(puts, [ 40 ]);
+    });
+
+    it('lets a resource write handler transform the value', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            {
+                path: '/3308/0/5900', operation: [ 'GET', 'PUT' ], type: 'float', value: 20,
+                onWrite: async value => Math.min(value, 30)
+            },
+            {
+                path: '/3341/0/5527', operation: [ 'GET', 'PUT' ], value: 'a',
+                onWrite: async value => { if (value.length > 4) throw { code: -32602, message: 'Too long' }; }
+            }
+        ], false);
+
+        let put = once(device, 'put');
+        await core.write('dev1', '3308/0/5900', 45.5);
+
+        assert.deepStrictEqual(await put, [ '/3308/0/5900', 30 ]);
+        assert.strictEqual(device.resources['/3308/0/5900'].value, 30);
+        // the transformed value is written back to Mbed Edge
+        await waitFor(() => core.getValue('dev1', '3308/0/5900') === 30);
+
+        await assert.rejects(core.write('dev1', '3341/0/5527', 'too long'), err => err.code === -32602);
+        assert.strictEqual(device.resources['/3341/0/5527'].value, 'a');
+    });
+
+    it('emits post when Mbed Cloud executes a resource', async function() {
+        let device = await createDevice();
+
+        let post = once(device, 'post');
+        await core.execute('dev1', '3311/0/5850', Buffer.from('1'));
+
+        let [ path, data ] = await post;
+        assert.strictEqual(path, '/3311/0/5850');
+        assert.strictEqual(data.toString(), '1');
+    });
+
+    it('creates the Device object from device info', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test', {
+            deviceInfo: { manufacturer: 'Arm', modelNumber: 'Button', serialNumber: 'SN-1', firmwareVersion: '1.0.0', batteryLevel: 90 }
+        });
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+        ], false);
+
+        assert.strictEqual(core.getValue('dev1', '3/0/0'), 'Arm');
+        assert.strictEqual(core.getValue('dev1', '3/0/1'), 'Button');
+        assert.strictEqual(core.getValue('dev1', '3/0/2'), 'SN-1');
+        assert.strictEqual(core.getValue('dev1', '3/0/3'), '1.0.0');
+        assert.strictEqual(core.getValue('dev1', '3/0/9'), 90);
+        await assert.rejects(device.setValue('/3/0/9', 101), /at most 100/);
+
+        let reboot = once(device, 'reboot');
+        await core.execute('dev1', '3/0/4');
+        await reboot;
+
+        let reset = once(device, 'factory-reset');
+        await core.execute('dev1', '3/0/5');
+        await reset;
+
+        // registering again does not emit events twice
+        await device.deregister();
+        await device.register([], false);
+
+        let reboots = 0;
+        device.on('reboot', () => reboots++);
+        await core.execute('dev1', '3/0/4');
+        await wait(20);
+        assert.strictEqual(reboots, 1);
+    });
+
+    it('applies notification attributes that Mbed Cloud can change', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test', { attributesPath: '/26241/0/1' });
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 21.5, attributes: { step: 1 } }
+        ], false);
+
+        await device.setValue('/3303/0/5700', 22);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 22);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+
+        await core.write('dev1', '26241/0/1', '3303/0/5700?st=0.1&pmax=60');
+        assert.deepStrictEqual(device.resources['/3303/0/5700'].attributes, { step: 0.1, pmax: 60 });
+
+        await device.setValue('/3303/0/5700', 22.2);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 22.2);
+
+        await assert.rejects(core.write('dev1', '26241/0/1', '3303/0/5700?st=-1'), err => err.code === -32602);
+        assert.throws(() => device.setAttributes('temperature/0/sensorValue', { pmin: 'soon' }), /should be a number/);
+
+        assert.deepStrictEqual(device.setAttributes('temperature/0/sensorValue', null), {});
+        assert.strictEqual(device.resources['/3303/0/5700'].attributes, undefined);
+    });
+
+    it('uses explicit resource types', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET', 'PUT' ], value: 20, type: 'float' },
+            { path: '/3341/0/5527', operation: [ 'GET' ], value: '123' },
+            { path: '/3342/0/5500', operation: [ 'GET', 'PUT' ], value: false, type: 'boolean' },
+            { path: '/3/0/13', operation: [ 'GET' ], value: 1527854400, type: 'time' },
+            { path: '/3/0/5', operation: [ 'GET' ], value: Buffer.from([ 1 ]), type: 'opaque' }
+        ], false);
+
+        assert.strictEqual(core.getResource('dev1', '3303/0/5700').type, 'float');
+        assert.strictEqual(core.getResource('dev1', '3341/0/5527').type, 'string');
+        assert.strictEqual(core.getResource('dev1', '3342/0/5500').type, 'bool');
+        assert.strictEqual(core.getResource('dev1', '3/0/13').type, 'time');
+        assert.strictEqual(core.getResource('dev1', '3/0/5').type, 'opaque');
+
+        await device.setValue('/3303/0/5700', 20.5);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 20.5);
+
+        let put = once(device, 'put');
+        await core.write('dev1', '3342/0/5500', true);
+        assert.deepStrictEqual(await put, [ '/3342/0/5500', true ]);
+    });
+
+    it('infers types when not given', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 20.5 },
+            { path: '/3303/0/5701', operation: [ 'GET' ], value: 20 },
+            { path: '/3341/0/5527', operation: [ 'GET' ], value: '123' },
+            { path: '/3342/0/5500', operation: [ 'GET' ], value: true }
+        ], false);
+
+        assert.strictEqual(device.resources['/3303/0/5700'].rpcType, 'Float');
+        assert.strictEqual(device.resources['/3303/0/5701'].rpcType, 'Int');
+        assert.strictEqual(device.resources['/3341/0/5527'].rpcType, 'String');
+        assert.strictEqual(device.resources['/3342/0/5500'].rpcType, 'Boolean');
+    });
+
+    it('fails registration on unknown types', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+
+        await assert.rejects(device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 1, type: 'double' }
+        ], false), /Unknown type 'double'/);
+    });
+
+    it('adds and removes object instances at runtime', async function() {
+        let device = await createDevice();
+        let registrations = core.requests.filter(r => r.method === 'device_register').length;
+
+        for (let i = 0; i < 30; i++) {
+            await device.addObjectInstance(3312, i, [
+                { resourceId: 5850, operation: [ 'GET', 'PUT' ], type: 'boolean', value: i % 2 === 0 }
+            ]);
+        }
+
+        assert.strictEqual(core.getValue('dev1', '3312/29/5850'), false);
+        assert.strictEqual(device.resources['/3312/12/5850'].value, true);
+        assert.strictEqual(core.requests.filter(r => r.method === 'device_register').length, registrations);
+
+        let put = once(device, 'put');
+        await core.write('dev1', '3312/29/5850', true);
+        assert.deepStrictEqual(await put, [ '/3312/29/5850', true ]);
+
+        await assert.rejects(device.addObjectInstance(3312, 29, []), /already exists/);
+
+        await device.removeObjectInstance(3312, 29);
+
+        assert.strictEqual(device.resources['/3312/29/5850'], undefined);
+        assert.strictEqual(core.getResource('dev1', '3312/29/5850'), null);
+        assert.strictEqual(core.getValue('dev1', '3312/28/5850'), true);
+        assert.strictEqual(device.getRegistrationStatus(), true);
+
+        await assert.rejects(device.removeObjectInstance(3312, 29), /does not exist/);
+    });
+
+    it('rolls back an added object instance when Mbed Edge rejects it', async function() {
+        let device = await createDevice();
+
+        core.override('write', () => {
+            throw MockEdgeCore.rpcError(-30000, 'Write value failed');
+        });
+
+        await assert.rejects(device.addObjectInstance(3312, 0, [
+            { resourceId: 5850, operation: [ 'GET' ], type: 'boolean', value: true }
+        ]), err => err instanceof RegistrationError && err.cause instanceof JsonRpcError && /Write value failed/.test(err.message));
+
+        assert.strictEqual(device.resources['/3312/0/5850'], undefined);
+        assert.strictEqual(device.rpcClient.routes['3312/0/5850'], undefined);
+    });
+
+    it('keeps an object instance when Mbed Edge rejects the new registration', async function() {
+        let device = await createDevice();
+        await device.addObjectInstance(3312, 0, [
+            { resourceId: 5850, operation: [ 'GET', 'PUT' ], type: 'boolean', value: true }
+        ]);
+
+        // reject the model without the instance, accept the old model again
+        core.override('device_register', () => {
+            core.override('device_register', null);
+            throw MockEdgeCore.rpcError(-30000, 'Device registration failed');
+        });
+
+        await assert.rejects(device.removeObjectInstance(3312, 0),
+            err => err instanceof RegistrationError && err.cause instanceof JsonRpcError && /Device registration failed/.test(err.message));
+
+        assert.strictEqual(device.resources['/3312/0/5850'].value, true);
+        assert(device.rpcClient.routes['3312/0/5850']);
+        assert.strictEqual(device.getRegistrationStatus(), true);
+        await waitFor(() => core.getDevice('dev1'));
+        assert.strictEqual(core.getValue('dev1', '3312/0/5850'), true);
+    });
+
+    it('adds and removes resources at runtime', async function() {
+        let device = await createDevice();
+        let registrations = core.requests.filter(r => r.method === 'device_register').length;
+
+        let res = await device.addResource({ path: '/3303/1/5700', operation: [ 'GET', 'PUT' ], type: 'float', value: 3.5 });
+        await device.addResource({ path: '3303/1/5605', operation: [ 'POST' ] });
+
+        assert.strictEqual(core.requests.filter(r => r.method === 'device_register').length, registrations);
+        assert.strictEqual(core.getValue('dev1', '3303/1/5700'), 3.5);
+        assert.strictEqual(core.getResource('dev1', '3303/1/5605').operations, 4);
+
+        await res.setValue(4.5);
+        assert.strictEqual(core.getValue('dev1', '3303/1/5700'), 4.5);
+
+        let put = once(device, 'put');
+        await core.write('dev1', '3303/1/5700', 5.5);
+        assert.deepStrictEqual(await put, [ '/3303/1/5700', 5.5 ]);
+
+        let post = once(device, 'post');
+        await core.execute('dev1', '3303/1/5605');
+        assert.strictEqual((await post)[0], '/3303/1/5605');
+
+        await assert.rejects(device.addResource({ path: '/3303/1/5700', operation: [ 'GET' ], value: 1 }), /already exists/);
+
+        await device.removeResource('/3303/1/5605');
+        await device.removeResource('/3303/1/5700');
+
+        assert.strictEqual(device.resources['/3303/1/5700'], undefined);
+        assert.strictEqual(core.getResource('dev1', '3303/1/5700'), null);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+
+        let posted = false;
+        device.on('post', () => posted = true);
+        await core.execute('dev1', '3303/1/5605');
+        assert.strictEqual(posted, false);
+
+        await assert.rejects(device.removeResource('/3303/1/5700'), /does not exist/);
+    });
+
+    it('removes resources although Mbed Edge rejects duplicate registrations', async function() {
+        let device = await createDevice();
+
+        // the mock rejects device_register for registered devices, like edge-core
+        await assert.rejects(device.rpcClient.register(), /Device registration failed/);
+
+        await device.removeResource('/3311/0/5851');
+        assert.strictEqual(core.getResource('dev1', '3311/0/5851'), null);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+
+        // nothing changes when unregistering fails
+        core.override('device_unregister', () => {
+            throw MockEdgeCore.rpcError(-30000, 'Unregister failed');
+        });
+        await assert.rejects(device.removeResource('/3341/0/5527'),
+            err => err instanceof RegistrationError && err.cause.code === -30000 && /Unregister failed/.test(err.message));
+        core.override('device_unregister', null);
+
+        assert.strictEqual(device.resources['/3341/0/5527'].value, 'text');
+        assert(device.rpcClient.routes['3341/0/5527']);
+        assert.strictEqual(core.getValue('dev1', '3341/0/5527'), 'text');
+    });
+
+    it('deregisters from Mbed Edge', async function() {
+        await createDevice();
+
+        await edge.deleteDevice('dev1');
+
+        assert.strictEqual(core.getDevice('dev1'), null);
+        assert.deepStrictEqual(await edge.listDevices(), []);
+    });
+
+    it('registers named resources and gets them by name', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { object: 'temperature', instance: 0, resource: 'sensorValue', value: 21.5 },
+            { object: 'lightControl', instance: 1, resource: 'onOff', value: true },
+            { object: 'lightControl', instance: 1, resource: 'dimmer', value: 50 }
+        ], false);
+
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+        assert.strictEqual(core.getResource('dev1', '3303/0/5700').type, 'float');
+        assert.strictEqual(core.getValue('dev1', '3311/1/5850'), true);
+
+        assert.strictEqual(device.get('temperature/0/sensorValue'), device.resources['/3303/0/5700']);
+        assert.strictEqual(device.get('/3311/1/5851').value, 50);
+        assert.strictEqual(device.get('temperature/1/sensorValue'), undefined);
+
+        await device.get('lightControl/1/dimmer').setValue(80);
+        assert.strictEqual(core.getValue('dev1', '3311/1/5851'), 80);
+
+        await device.addObjectInstance('temperature', 1, [ { resourceId: 'sensorValue', value: 19 } ]);
+        assert.strictEqual(core.getValue('dev1', '3303/1/5700'), 19);
+
+        await device.removeObjectInstance('temperature', 1);
+        assert.strictEqual(device.get('temperature/1/sensorValue'), undefined);
+    });
+
+    it('starts named resources without a value at the default of their type', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { object: 'temperature', instance: 0, resource: 'sensorValue' },
+            { object: 'lightControl', instance: 0, resource: 'onOff' },
+            { object: 'device', instance: 0, resource: 'manufacturer' }
+        ], false);
+
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 0);
+        assert.strictEqual(core.getValue('dev1', '3311/0/5850'), false);
+        assert.strictEqual(core.getValue('dev1', '3/0/0'), '');
+        assert.strictEqual(device.get('temperature/0/sensorValue').value, 0);
+
+        await device.get('temperature/0/sensorValue').setValue(21.5);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21.5);
+    });
+
+    it('reads values through onRead when they are stale', async function() {
+        let reads = 0;
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            {
+                path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 0, ttl: 200, observable: false,
+                onRead: async path => {
+                    assert.strictEqual(path, '/3303/0/5700');
+                    reads++;
+                    return 20 + reads;
+                }
+            }
+        ], false);
+
+        // concurrent reads share one call to the handler
+        let values = await Promise.all([ device.read('/3303/0/5700'), device.resources['/3303/0/5700'].read() ]);
+        assert.deepStrictEqual(values, [ 21, 21 ]);
+        assert.strictEqual(reads, 1);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 21);
+        await waitFor(() => core.getValue('dev1', '3303/0/5700') === 21);
+
+        // still fresh
+        assert.strictEqual(await device.read('temperature/0/sensorValue'), 21);
+        assert.strictEqual(reads, 1);
+
+        assert.strictEqual(await device.read('/3303/0/5700', true), 22);
+        assert.strictEqual(reads, 2);
+    });
+
+    it('refreshes observable resources with onRead on a schedule', async function() {
+        let value = 1;
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 0, ttl: 20, onRead: async () => value }
+        ], false);
+
+        await waitFor(() => core.getValue('dev1', '3303/0/5700') === 1);
+        value = 2;
+        await waitFor(() => core.getValue('dev1', '3303/0/5700') === 2);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 2);
+
+        // stops after deregistering
+        await device.deregister();
+        value = 3;
+        await wait(60);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 2);
+    });
+
+    it('rejects invalid values from onRead', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 0, observable: false }
+        ], false);
+        device.setReadHandler('/3303/0/5700', async () => NaN, 1000);
+
+        await assert.rejects(device.read('/3303/0/5700'), /should be a number/);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 0);
+    });
+
+    it('fails registration when Mbed Edge rejects the device', async function() {
+        core.override('device_register', () => {
+            throw MockEdgeCore.rpcError(-30000, 'Protocol error');
+        });
+
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await assert.rejects(device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 1 }
+        ], false), /Registration failed/);
+
+        assert.strictEqual(device.getRegistrationStatus(), false);
+    });
+
+    it('cleans up listeners and timers when registration fails', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test');
+        let listeners = () => edge.edgeRpc.eventNames().map(e => e + ':' + edge.edgeRpc.listenerCount(e));
+        let before = listeners();
+
+        let rpc;
+        core.override('device_register', () => {
+            rpc = device.rpcClient;
+            throw MockEdgeCore.rpcError(-30000, 'Protocol error');
+        });
+
+        await assert.rejects(device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 1, attributes: { pmax: 1 } },
+            { path: '/3303/1/5700', operation: [ 'GET' ], type: 'float', value: 1, ttl: 1000, refresh: true, onRead: async () => 2 }
+        ], false), /Registration failed/);
+
+        assert.strictEqual(device.rpcClient, undefined);
+        assert.deepStrictEqual(listeners(), before);
+        assert.deepStrictEqual(rpc._refreshTimers, {});
+        assert.deepStrictEqual(rpc._notifications, {});
+    });
+
+    async function restartEdgeCore() {
+        let disconnected = once(edge, 'disconnected');
+        core.disconnectAll();
+        await disconnected;
+        await waitFor(() => !core.getDevice('dev1'));
+    }
+
+    it('rejects values while disconnected without offline buffer', async function() {
+        let device = await createDevice();
+
+        await restartEdgeCore();
+
+        await assert.rejects(device.setValue('/3311/0/5851', 1), /RPC Channel is closed/);
+        assert.strictEqual(device.getOfflineBufferStats(), null);
+    });
+
+    it('buffers the latest values while disconnected and sends them after reconnecting', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test', { offlineBuffer: { mode: 'latest' } });
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 1 },
+            { path: '/3303/1/5700', operation: [ 'GET' ], type: 'float', value: 1 }
+        ], false);
+
+        await restartEdgeCore();
+
+        let reconnected = once(edge, 'reconnected');
+
+        assert.strictEqual(await device.setValue('/3303/0/5700', 2), 2);
+        await device.setValue('/3303/0/5700', 3);
+        await device.setValue('/3303/1/5700', 4);
+        assert.strictEqual(device.resources['/3303/0/5700'].value, 3);
+
+        await reconnected;
+
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 3);
+        assert.strictEqual(core.getValue('dev1', '3303/1/5700'), 4);
+        assert.deepStrictEqual(device.getOfflineBufferStats(), { buffered: 0, dropped: 0, replaced: 1, flushed: 2 });
+    });
+
+    it('buffers values until the device is registered again after reconnecting', async function() {
+        let device = await edge.createCloudDevice('dev1', 'test', { offlineBuffer: { mode: 'latest' } });
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 1 }
+        ], false);
+
+        await restartEdgeCore();
+
+        // answer the registration late, the channel is already open by then
+        core.override('device_register', async function(params) {
+            await wait(50);
+            this.devices[params.deviceId] = { deviceId: params.deviceId, translator: 'test-pt', objects: params.objects };
+        });
+
+        let reconnected = once(edge, 'reconnected');
+        await once(edge.edgeRpc, 'reconnected');
+
+        assert.strictEqual(device.getRegistrationStatus(), true);
+        assert.strictEqual(await device.setValue('/3303/0/5700', 7), 7);
+        assert.strictEqual(core.getDevice('dev1'), null);
+
+        await reconnected;
+
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 7);
+        assert.deepStrictEqual(device.getOfflineBufferStats(), { buffered: 0, dropped: 0, replaced: 0, flushed: 1 });
+    });
+
+    it('replays queued values in order after reconnecting', async function() {
+        edge.options.offlineBuffer = { mode: 'queue', maxSize: 3 };
+
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 0 }
+        ], false);
+
+        await restartEdgeCore();
+
+        let reconnected = once(edge, 'reconnected');
+        for (let v = 1; v <= 5; v++) {
+            await device.setValue('/3303/0/5700', v);
+        }
+        let writesBefore = core.requests.filter(r => r.method === 'write').length;
+
+        await reconnected;
+
+        let values = core.requests.filter(r => r.method === 'write').slice(writesBefore).map(w => {
+            return Buffer.from(w.params.objects[0].objectInstances[0].resources[0].value, 'base64').readDoubleBE(0);
+        });
+
+        assert.deepStrictEqual(values, [ 3, 4, 5 ]);
+        assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 5);
+        assert.deepStrictEqual(device.getOfflineBufferStats(), { buffered: 0, dropped: 2, replaced: 0, flushed: 3 });
+    });
+
+    it('re-registers all devices with current values after reconnecting', async function() {
+        let device1 = await createDevice('dev1');
+        await createDevice('dev2');
+        await device1.setValue('/3311/0/5851', 99);
+
+        let disconnected = once(edge, 'disconnected');
+        let reconnected = once(edge, 'reconnected');
+
+        core.disconnectAll();
+        await disconnected;
+        await waitFor(() => !core.getDevice('dev1'));
+
+        await reconnected;
+
+        assert.ok(core.getDevice('dev1'));
+        assert.ok(core.getDevice('dev2'));
+        assert.strictEqual(core.getValue('dev1', '3311/0/5851'), 99);
+    });
+
+    describe('firmware update through Package URI', function() {
+        let server, url;
+        let firmware = crypto.randomBytes(10 * 1024);
+
+        before(function() {
+            firmwareDirectory = fs.mkdtempSync(Path.join(os.tmpdir(), 'edge-fw-'));
+        });
+
+        after(function() {
+            fs.rmSync(firmwareDirectory, { recursive: true, force: true });
+            firmwareDirectory = undefined;
+        });
+
+        beforeEach(async function() {
+            server = http.createServer((req, res) => {
+                if (req.url !== '/firmware.bin') {
+                    res.writeHead(404);
+                    return res.end();
+                }
+                res.end(firmware);
+            });
+            await new Promise(res => server.listen(0, '127.0.0.1', res));
+            url = `http://127.0.0.1:${server.address().port}/firmware.bin`;
+        });
+
+        afterEach(async function() {
+            await new Promise(res => server.close(res));
+        });
+
+        async function createUpdatableDevice() {
+            let device = await edge.createCloudDevice('dev1', 'test');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+            ], true, 'vendor', 'class', Buffer.from('certificate'));
+            return device;
+        }
+
+        it('downloads the package and applies it when Update is executed', async function() {
+            let device = await createUpdatableDevice();
+            let progress = [];
+            device.on('fota-progress', p => progress.push(p));
+
+            assert.strictEqual(core.getResource('dev1', '5/0/1').operations, 2 /* PUT */);
+
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+
+            assert.strictEqual(core.getValue('dev1', '5/0/5'), 0);
+            assert.deepStrictEqual(progress[progress.length - 1], { received: firmware.length, total: firmware.length });
+
+            let execute = once(device, 'update-execute');
+            await core.execute('dev1', '5/0/2');
+            let [ image ] = await execute;
+
+            // the path of the download, firmware.directory is set
+            assert(fs.readFileSync(image).equals(firmware));
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 3 /* updating */);
+
+            await device.setFotaComplete('1.2.0');
+            await waitFor(() => !fs.existsSync(image));
+
+            assert.strictEqual(core.getValue('dev1', '5/0/3'), 0);
+            assert.strictEqual(core.getValue('dev1', '5/0/5'), 1 /* success */);
+            assert.strictEqual(core.getValue('dev1', '5/0/6'), crypto.createHash('sha256').update(firmware).digest('hex'));
+            assert.strictEqual(core.getValue('dev1', '5/0/7'), '1.2.0');
+        });
+
+        it('shows the new version in the Device object', async function() {
+            let device = await edge.createCloudDevice('dev1', 'test', { deviceInfo: { firmwareVersion: '1.0.0' } });
+            await device.register([], true, 'vendor', 'class', Buffer.from('certificate'));
+
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await core.execute('dev1', '5/0/2');
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 3 /* updating */);
+            await device.setFotaComplete('1.1.0');
+
+            assert.strictEqual(core.getValue('dev1', '3/0/3'), '1.1.0');
+        });
+
+        it('rolls back when applying the package fails', async function() {
+            let device = await createUpdatableDevice();
+            let rollbacks = [];
+            device.setRollbackHandler(async (installed, err) => rollbacks.push([ installed, err.message ]));
+
+            // install a first version
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await core.execute('dev1', '5/0/2');
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 3 /* updating */);
+            await device.setFotaComplete('1.0.0');
+            let installed = device.getInstalledFirmware();
+
+            // errors before applying don't need a rollback
+            await device.setFotaError(new Error('Not now'));
+            assert.deepStrictEqual(rollbacks, []);
+
+            await core.write('dev1', '5/0/1', '');
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await core.execute('dev1', '5/0/2');
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 3 /* updating */);
+            await device.setFotaError(new Error('Flash failed'));
+
+            assert.deepStrictEqual(rollbacks, [ [ installed, 'Flash failed' ] ]);
+            assert.strictEqual(core.getValue('dev1', '5/0/3'), 0);
+            assert.strictEqual(core.getValue('dev1', '5/0/5'), 8 /* ARM_UC_MONITOR_RESULT_ERROR_UPDATE */);
+            assert.strictEqual(core.getValue('dev1', '5/0/7'), '1.0.0');
+        });
+
+        it('removes the package without an update manager', async function() {
+            let device = await edge.createCloudDevice('dev1', 'test', { updateManager: null });
+            await device.register([], true, 'vendor', 'class', Buffer.from('certificate'));
+            let image = Path.join(firmwareDirectory, crypto.createHash('sha256').update(url).digest('hex') + '.bin');
+
+            // when the update completes
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            assert(fs.existsSync(image));
+            await core.execute('dev1', '5/0/2');
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 3 /* updating */);
+            await device.setFotaComplete('1.0.0');
+            assert(!fs.existsSync(image));
+
+            // when it fails
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await device.setFotaError(new Error('Flash failed'));
+            assert(!fs.existsSync(image));
+
+            // when the URI is cleared
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await core.write('dev1', '5/0/1', '');
+            await waitFor(() => !fs.existsSync(image));
+
+            // when the URI is replaced
+            await core.write('dev1', '5/0/1', url);
+            await waitFor(() => core.getValue('dev1', '5/0/3') === 2 /* downloaded */);
+            await core.write('dev1', '5/0/1', url + '.missing');
+            await waitFor(() => !fs.existsSync(image));
+            // 'uri' is the directory of the update manager of the other tests
+            assert.deepStrictEqual(fs.readdirSync(firmwareDirectory).filter(f => f !== 'uri'), []);
+        });
+
+        it('ignores Update when nothing was downloaded', async function() {
+            let device = await createUpdatableDevice();
+            let executed = false;
+            device.on('update-execute', () => executed = true);
+
+            await core.execute('dev1', '5/0/2');
+            await wait(20);
+
+            assert.strictEqual(executed, false);
+            assert.strictEqual(core.getValue('dev1', '5/0/3'), 0);
+        });
+
+        it('sets an invalid URI result when the package cannot be found', async function() {
+            await createUpdatableDevice();
+
+            await core.write('dev1', '5/0/1', url + '.missing');
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 7 /* invalid URI */);
+            assert.strictEqual(core.getValue('dev1', '5/0/3'), 0);
+
+            // an empty URI resets the state
+            await core.write('dev1', '5/0/1', '');
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 0);
+
+            await core.write('dev1', '5/0/1', 'ftp://example.com/firmware.bin');
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 7);
+        });
+    });
+});
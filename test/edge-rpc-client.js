@@ -0,0 +1,305 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const os = require('os');
+const Path = require('path');
+const EdgeRpcClient = require('../edge-rpc-client');
+const RPCClient = require('../rpc-client');
+const MockEdgeCore = require('../mock-edge-core');
+const { ConnectionError, TimeoutError } = require('../errors');
+const { once, wait, waitFor } = require('./helpers');
+
+describe('EdgeRpcClient', function() {
+    let core, client;
+
+    beforeEach(async function() {
+        core = new MockEdgeCore();
+        await core.start();
+    });
+
+    afterEach(async function() {
+        if (client) await client.deinit();
+        client = null;
+        await core.stop();
+    });
+
+    it('registers the protocol translator on init', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+        await client.init();
+
+        assert.strictEqual(client.is_open(), true);
+        assert.deepStrictEqual(core.getTranslators(), [ 'test-pt' ]);
+    });
+
+    it('connects over ws+unix', async function() {
+        await core.stop();
+
+        let socketPath = Path.join(os.tmpdir(), 'mbed-edge-js-test-' + process.pid + '.sock');
+        core = new MockEdgeCore();
+        await core.start({ socketPath: socketPath });
+
+        assert.strictEqual(core.url, 'ws+unix://' + socketPath + ':');
+
+        client = new EdgeRpcClient(core.url, 'unix-pt', { reconnect: false });
+        await client.init();
+
+        assert.deepStrictEqual(core.getTranslators(), [ 'unix-pt' ]);
+    });
+
+    it('emits resource-updated and resource-executed for writes from Mbed Edge', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+        await client.init();
+
+        await client.sendJsonRpc('device_register', { deviceId: 'dev1', objects: [] });
+
+        let updated = once(client, 'resource-updated');
+        let res = await core.write('dev1', '3303/0/5700', Buffer.from('abc'));
+        assert.strictEqual(res, 'ok');
+
+        let [ deviceId, route, value ] = await updated;
+        assert.strictEqual(deviceId, 'dev1');
+        assert.strictEqual(route, '3303/0/5700');
+        assert.strictEqual(value.toString(), 'abc');
+
+        let executed = once(client, 'resource-executed');
+        await core.execute('dev1', '3311/12/5850', Buffer.from('go'));
+
+        [ deviceId, route, value ] = await executed;
+        assert.strictEqual(route, '3311/12/5850');
+        assert.strictEqual(value.toString(), 'go');
+    });
+
+    it('coalesces writes per device within the write window', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, writeCoalesceWindow: 20 });
+        await client.init();
+
+        let dev1 = new RPCClient(client, 'dev1');
+        let dev2 = new RPCClient(client, 'dev2');
+        let a = await dev1.createResourceInt('3300/0/5700', 0);
+        let b = await dev1.createResourceInt('3300/1/5700', 0);
+        await dev1.createResourceInt('3300/2/5700', 0);
+        let c = await dev2.createResourceFloat('3303/0/5700', 0);
+        await dev1.register();
+        await dev2.register();
+
+        let writes = () => core.requests.filter(r => r.method === 'write');
+
+        let results = await Promise.all([
+            a.setValue(1), a.setValue(2), b.setValue(3), c.setValue(1.5), c.setValue(2.5)
+        ]);
+
+        assert.deepStrictEqual(results, [ 'ok', 'ok', 'ok', 'ok', 'ok' ]);
+        assert.strictEqual(writes().length, 2);
+
+        let dev1Write = writes().find(w => w.params.deviceId === 'dev1');
+        assert.deepStrictEqual(dev1Write.params.objects[0].objectInstances.map(i => i.objectInstanceId), [ 0, 1 ]);
+
+        assert.strictEqual(core.getValue('dev1', '3300/0/5700'), 2);
+        assert.strictEqual(core.getValue('dev1', '3300/1/5700'), 3);
+        assert.strictEqual(core.getValue('dev2', '3303/0/5700'), 2.5);
+
+        dev1.terminate();
+        dev2.terminate();
+    });
+
+    it('rejects all coalesced writes when the batch fails', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, writeCoalesceWindow: 0 });
+        await client.init();
+
+        let dev1 = new RPCClient(client, 'dev1');
+        let a = await dev1.createResourceInt('3300/0/5700', 0);
+        await dev1.register();
+
+        core.override('write', () => {
+            throw MockEdgeCore.rpcError(-30000, 'Write value failed');
+        });
+
+        let results = await Promise.all([ a.setValue(1), a.setValue(2) ].map(p => p.catch(err => err.message)));
+        assert.deepStrictEqual(results, [ 'Write value failed', 'Write value failed' ]);
+        assert.strictEqual(core.requests.filter(r => r.method === 'write').length, 1);
+
+        dev1.terminate();
+    });
+
+    it('rejects with the JSON-RPC error from Mbed Edge', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+        await client.init();
+
+        await assert.rejects(client.sendJsonRpc('device_unregister', { deviceId: 'nope' }),
+            err => err.code === -30001);
+
+        // devices have to be unregistered before they register again
+        await client.sendJsonRpc('device_register', { deviceId: 'dev1', objects: [] });
+        await assert.rejects(client.sendJsonRpc('device_register', { deviceId: 'dev1', objects: [] }),
+            /Device registration failed/);
+    });
+
+    it('rejects immediately when the channel is closed', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+
+        await assert.rejects(client.sendJsonRpc('write', {}), /RPC Channel is closed/);
+    });
+
+    it('fails pending requests when the connection drops', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+        await client.init();
+
+        // never answer this one
+        core.override('write', () => new Promise(() => {}));
+
+        let req = client.sendJsonRpc('write', { deviceId: 'x', objects: [] });
+        core.disconnectAll();
+
+        await assert.rejects(req, /Connection to Mbed Edge lost/);
+        assert.strictEqual(client.is_open(), false);
+    });
+
+    it('reconnects and registers the protocol translator again', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnectDelay: 20, maxReconnectDelay: 50 });
+        await client.init();
+
+        let disconnected = once(client, 'disconnected');
+        let reconnected = once(client, 'reconnected');
+
+        core.disconnectAll();
+        await disconnected;
+        await waitFor(() => core.getTranslators().length === 0);
+
+        await reconnected;
+        assert.strictEqual(client.is_open(), true);
+        assert.deepStrictEqual(core.getTranslators(), [ 'test-pt' ]);
+    });
+
+    it('stops reconnecting on deinit', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnectDelay: 10000 });
+        await client.init();
+
+        let disconnected = once(client, 'disconnected');
+        core.disconnectAll();
+        await disconnected;
+
+        await client.deinit();
+        client = null;
+    });
+
+    it('times out per method', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, timeouts: { device_unregister: 50 } });
+        await client.init();
+
+        core.override('device_unregister', () => new Promise(() => {}));
+
+        await assert.rejects(client.sendJsonRpc('device_unregister', { deviceId: 'x' }), err => {
+            assert(err instanceof TimeoutError);
+            assert.strictEqual(err.method, 'device_unregister');
+            assert.strictEqual(err.timeout, 50);
+            return true;
+        });
+    });
+
+    it('retries idempotent calls that time out', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, timeout: 50, retry: { delay: 10 } });
+        await client.init();
+
+        let calls = 0;
+        core.override('write', () => {
+            // only answer the second attempt
+            if (++calls === 1) return new Promise(() => {});
+            return 'ok';
+        });
+
+        assert.strictEqual(await client.sendJsonRpc('write', { deviceId: 'x', objects: [] }), 'ok');
+        assert.strictEqual(calls, 2);
+    });
+
+    it('gives up after the configured number of attempts', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, timeout: 30, retry: { attempts: 2, delay: 10 } });
+        await client.init();
+
+        let calls = 0;
+        core.override('write', () => {
+            calls++;
+            return new Promise(() => {});
+        });
+
+        await assert.rejects(client.sendJsonRpc('write', { deviceId: 'x', objects: [] }), TimeoutError);
+        assert.strictEqual(calls, 2);
+    });
+
+    it('does not retry errors from Mbed Edge or non-idempotent calls', async function() {
+        client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false, timeout: 30, retry: { delay: 10 } });
+        await client.init();
+
+        let writes = 0, unregisters = 0;
+        core.override('write', () => {
+            writes++;
+            throw MockEdgeCore.rpcError(-30000, 'Protocol error');
+        });
+        core.override('device_unregister', () => {
+            unregisters++;
+            return new Promise(() => {});
+        });
+
+        await assert.rejects(client.sendJsonRpc('write', { deviceId: 'x', objects: [] }), err => err.code === -30000);
+        await assert.rejects(client.sendJsonRpc('device_unregister', { deviceId: 'x' }), TimeoutError);
+        assert.strictEqual(writes, 1);
+        assert.strictEqual(unregisters, 1);
+    });
+
+    it('gives up connecting after connectAttempts', async function() {
+        let url = core.url;
+        await core.stop();
+
+        client = new EdgeRpcClient(url, 'test-pt', { reconnectDelay: 10, connectAttempts: 3 });
+
+        await assert.rejects(client.init(), err => {
+            assert(err instanceof ConnectionError);
+            assert(/after 3 attempts/.test(err.message));
+            assert(err.cause);
+            return true;
+        });
+    });
+
+    it('gives up connecting after connectTimeout', async function() {
+        let url = core.url;
+        await core.stop();
+
+        client = new EdgeRpcClient(url, 'test-pt', { reconnectDelay: 10, connectTimeout: 100 });
+
+        let start = Date.now();
+        await assert.rejects(client.init(), /within 100 ms/);
+        assert(Date.now() - start < 1000);
+    });
+
+    it('stops connecting when the AbortSignal fires', async function() {
+        let url = core.url;
+        await core.stop();
+
+        client = new EdgeRpcClient(url, 'test-pt', { reconnectDelay: 10000 });
+
+        let controller = new AbortController();
+        let init = client.init({ signal: controller.signal });
+
+        await wait(50);
+        controller.abort();
+
+        await assert.rejects(init, err => err instanceof ConnectionError && /aborted/.test(err.message));
+    });
+});
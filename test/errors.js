@@ -0,0 +1,126 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const RemoteClientService = require('../edge-lib');
+const EdgeRpcClient = require('../edge-rpc-client');
+const MockEdgeCore = require('../mock-edge-core');
+const codec = require('../value-codec');
+const errors = require('../errors');
+
+describe('errors', function() {
+    it('are Error subclasses with a name, stack and cause', function() {
+        let cause = new Error('socket hang up');
+        let err = new errors.ConnectionError('Connection to Mbed Edge lost', cause);
+
+        assert(err instanceof errors.ConnectionError);
+        assert(err instanceof errors.EdgeError);
+        assert(err instanceof Error);
+        assert.strictEqual(err.name, 'ConnectionError');
+        assert.strictEqual(err.message, 'Connection to Mbed Edge lost');
+        assert.strictEqual(err.cause, cause);
+        assert(/^ConnectionError: Connection to Mbed Edge lost/.test(err.stack));
+    });
+
+    it('are exported from the main module', function() {
+        for (let name of [ 'EdgeError', 'ConnectionError', 'TimeoutError', 'JsonRpcError', 'ValidationError',
+                'RegistrationError', 'ManifestVerificationError', 'FirmwareDownloadError' ]) {
+            assert.strictEqual(RemoteClientService[name], errors[name], name);
+        }
+    });
+
+    it('throws ValidationError for invalid values', function() {
+        assert.throws(() => codec.encode('double', 1), errors.ValidationError);
+        assert.throws(() => codec.decode('int', Buffer.alloc(3)), errors.ValidationError);
+    });
+
+    describe('with Mbed Edge', function() {
+        let core, edge;
+
+        beforeEach(async function() {
+            core = new MockEdgeCore();
+            await core.start();
+        });
+
+        afterEach(async function() {
+            if (edge) await edge.deinit();
+            edge = null;
+            await core.stop();
+        });
+
+        it('rejects with ConnectionError when the channel is closed', async function() {
+            let client = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+
+            await assert.rejects(client.sendJsonRpc('write', {}), errors.ConnectionError);
+        });
+
+        it('rejects with JsonRpcError that holds code, data and method', async function() {
+            edge = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+            await edge.init();
+
+            core.override('write', () => {
+                throw MockEdgeCore.rpcError(-30000, 'Protocol error', 'details');
+            });
+
+            await assert.rejects(edge.sendJsonRpc('write', { deviceId: 'dev1', objects: [] }), err => {
+                assert(err instanceof errors.JsonRpcError);
+                assert.strictEqual(err.code, -30000);
+                assert.strictEqual(err.data, 'details');
+                assert.strictEqual(err.method, 'write');
+                assert.strictEqual(err.message, 'Protocol error');
+                return true;
+            });
+        });
+
+        it('rejects registration with RegistrationError that holds the cause', async function() {
+            edge = new RemoteClientService(core.url, 'test-pt');
+            await edge.init();
+
+            core.override('device_register', () => {
+                throw MockEdgeCore.rpcError(-30000, 'Protocol error');
+            });
+
+            let device = await edge.createCloudDevice('dev1', 'test');
+            await assert.rejects(device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], value: 1 }
+            ], false), err => {
+                assert(err instanceof errors.RegistrationError);
+                assert.strictEqual(err.message, 'Registration failed Protocol error');
+                assert(err.cause instanceof errors.JsonRpcError);
+                assert.strictEqual(err.cause.code, -30000);
+                return true;
+            });
+        });
+
+        it('rejects invalid routes with ValidationError', async function() {
+            edge = new RemoteClientService(core.url, 'test-pt');
+            await edge.init();
+
+            let device = await edge.createCloudDevice('dev1', 'test');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], value: 1 }
+            ], false);
+
+            await assert.rejects(device.setValue('/3303/0/9999', 1), errors.ValidationError);
+            await assert.rejects(device.addResource({ path: '/3303/0/5700', operation: [ 'GET' ], value: 1 }),
+                errors.ValidationError);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Generates the certificates and manifests in test/fixtures/manifests.
+ * Run with `node test/fixtures/make-manifests.js`, the private keys are not kept.
+ */
+
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+
+const OUT = Path.join(__dirname, 'manifests');
+
+const VENDOR_ID = '5355425deabe4bb1a8d0f1c6b7a2e3f4';
+const CLASS_ID = '8b5d2e3c7a1f4e6d9c0b1a2f3e4d5c6b';
+const OTHER_CLASS_ID = '00000000000000000000000000000001';
+const TIMESTAMP = 1540000000;
+
+// DER encoding
+
+function length(n) {
+    if (n < 0x80) return Buffer.from([ n ]);
+    let bytes = [];
+    while (n > 0) {
+        bytes.unshift(n & 0xff);
+        n = Math.floor(n / 256);
+    }
+    return Buffer.from([ 0x80 | bytes.length ].concat(bytes));
+}
+
+function el(tag, contents) {
+    return Buffer.concat([ Buffer.from([ tag ]), length(contents.length), contents ]);
+}
+
+function int(n, tag) {
+    let bytes = [];
+    do {
+        bytes.unshift(n & 0xff);
+        n = Math.floor(n / 256);
+    } while (n > 0);
+    if (bytes[0] & 0x80) bytes.unshift(0);
+    return el(tag || 0x02, Buffer.from(bytes));
+}
+
+const seq = (...items) => el(0x30, Buffer.concat(items));
+const set = (...items) => el(0x31, Buffer.concat(items));
+const octets = buf => el(0x04, buf);
+const utf8 = s => el(0x0c, Buffer.from(s, 'utf-8'));
+const bool = b => el(0x01, Buffer.from([ b ? 0xff : 0 ]));
+const enumerated = n => int(n, 0x0a);
+const utcTime = s => el(0x17, Buffer.from(s));
+const bitString = buf => el(0x03, Buffer.concat([ Buffer.from([ 0 ]), buf ]));
+const explicit = (n, contents) => el(0xa0 + n, contents);
+
+// ecdsa-with-SHA256 and commonName
+const ECDSA_SHA256 = Buffer.from('06082a8648ce3d040302', 'hex');
+const CN = Buffer.from('0603550403', 'hex');
+
+function makeCertificate(name) {
+    let { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    let subject = seq(set(seq(CN, utf8(name))));
+    let tbs = seq(
+        explicit(0, int(2)),
+        int(crypto.randomBytes(4).readUInt32BE(0) >>> 1),
+        seq(ECDSA_SHA256),
+        subject,
+        seq(utcTime('180101000000Z'), utcTime('491231235959Z')),
+        subject,
+        publicKey.export({ type: 'spki', format: 'der' })
+    );
+
+    let cert = seq(tbs, seq(ECDSA_SHA256), bitString(crypto.sign('sha256', tbs, privateKey)));
+
+    return { der: cert, privateKey: privateKey };
+}
+
+function makeManifest(opts) {
+    let payload = seq(
+        enumerated(1),                              // format: raw-binary
+        utf8('default'),                            // storageIdentifier
+        seq(                                        // reference
+            octets(crypto.createHash('sha256').update(opts.firmware).digest()),
+            utf8(opts.uri),
+            int(opts.firmware.length)
+        )
+    );
+
+    let manifest = seq(
+        enumerated(1),                              // manifestVersion: v1
+        utf8('Test firmware'),                      // description
+        int(opts.timestamp),
+        octets(Buffer.from(opts.vendorId, 'hex')),
+        octets(Buffer.from(opts.classId, 'hex')),
+        octets(Buffer.alloc(16)),                   // deviceId
+        octets(crypto.randomBytes(32)),             // nonce
+        octets(Buffer.alloc(0)),                    // vendorInfo
+        bool(true),                                 // applyImmediately
+        enumerated(2),                              // encryptionMode: none-ecc-secp256r1-sha256
+        seq(),                                      // aliases
+        seq(),                                      // dependencies
+        payload
+    );
+
+    let resource = seq(enumerated(0), manifest);    // resourceType: manifest
+
+    if (opts.tamper) resource = opts.tamper(resource);
+
+    let hash = crypto.createHash('sha256').update(resource).digest();
+    let signature = crypto.sign('sha256', resource, opts.cert.privateKey);
+    if (opts.badSignature) signature = crypto.sign('sha256', Buffer.from('something else'), opts.cert.privateKey);
+
+    if (opts.tamperAfterSigning) resource = opts.tamperAfterSigning(resource);
+
+    let fingerprint = crypto.createHash('sha256').update(opts.cert.der).digest();
+
+    return seq(
+        resource,
+        seq(octets(hash), seq(seq(octets(signature), seq(seq(octets(fingerprint), utf8(''))))))
+    );
+}
+
+let cert = makeCertificate('update');
+let other = makeCertificate('other');
+let firmware = Buffer.from('this is firmware for the tests\n');
+
+let defaults = {
+    cert: cert,
+    firmware: firmware,
+    uri: 'http://127.0.0.1:8123/firmware.bin',
+    timestamp: TIMESTAMP,
+    vendorId: VENDOR_ID,
+    classId: CLASS_ID
+};
+
+let files = {
+    'update.der': cert.der,
+    'other.der': other.der,
+    'firmware.bin': firmware,
+    'valid.manifest': makeManifest(defaults),
+    'wrong-class.manifest': makeManifest(Object.assign({}, defaults, { classId: OTHER_CLASS_ID })),
+    'bad-signature.manifest': makeManifest(Object.assign({}, defaults, { badSignature: true })),
+    // change the payload URI after signing
+    'tampered.manifest': makeManifest(Object.assign({}, defaults, {
+        tamperAfterSigning: resource => Buffer.from(resource.toString('binary').replace('8123', '8666'), 'binary')
+    }))
+};
+
+if (!fs.existsSync(OUT)) fs.mkdirSync(OUT);
+
+for (let name of Object.keys(files)) {
+    fs.writeFileSync(Path.join(OUT, name), files[name]);
+}
+
+fs.writeFileSync(Path.join(OUT, 'ids.json'), JSON.stringify({
+    vendorId: VENDOR_ID,
+    classId: CLASS_ID,
+    timestamp: TIMESTAMP
+}, null, 4) + '\n');
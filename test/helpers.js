@@ -0,0 +1,58 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+// Shared helpers for the test suite, not a test file itself
+
+// keep the test output readable, set MBED_EDGE_JS_LOG_LEVEL=debug to see what's going on
+process.env.MBED_EDGE_JS_LOG_LEVEL = process.env.MBED_EDGE_JS_LOG_LEVEL || 'silent';
+
+function wait(ms) {
+    return new Promise(res => setTimeout(res, ms));
+}
+
+/**
+ * Resolves with the arguments of the next `event` emitted by `emitter`
+ */
+function once(emitter, event) {
+    return new Promise(res => {
+        emitter.once(event, function() {
+            res(Array.from(arguments));
+        });
+    });
+}
+
+/**
+ * Polls `fn` until it returns something truthy
+ */
+async function waitFor(fn, timeout) {
+    let end = Date.now() + (timeout || 2000);
+    while (Date.now() < end) {
+        let v = fn();
+        if (v) return v;
+        await wait(10);
+    }
+    throw new Error('Timeout while waiting for condition');
+}
+
+module.exports = {
+    wait: wait,
+    once: once,
+    waitFor: waitFor
+};
@@ -0,0 +1,132 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const Logger = require('../logger');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+
+describe('Logger', function() {
+    function capture(stream, fn) {
+        let lines = [];
+        let write = stream.write;
+        stream.write = line => lines.push(line);
+        try {
+            fn();
+        }
+        finally {
+            stream.write = write;
+        }
+        return lines;
+    }
+
+    it('calls pino / bunyan style loggers with (fields, message)', function() {
+        let calls = [];
+        let target = {
+            info: (fields, msg) => calls.push([ 'info', fields, msg ]),
+            warn: (fields, msg) => calls.push([ 'warn', fields, msg ])
+        };
+
+        let log = Logger.create({ logger: target }).child({ deviceId: 'dev1' });
+        log.info('Registered', { endpoint: 'dev1' });
+        log.warn('Careful');
+        // falls back to info when the logger has no such level
+        log.debug('Details');
+
+        assert.deepStrictEqual(calls, [
+            [ 'info', { deviceId: 'dev1', endpoint: 'dev1' }, 'Registered' ],
+            [ 'warn', { deviceId: 'dev1' }, 'Careful' ],
+            [ 'info', { deviceId: 'dev1' }, 'Details' ]
+        ]);
+    });
+
+    it('calls winston style loggers with (message, fields)', function() {
+        let calls = [];
+        let target = {
+            add: () => {},
+            log: () => {},
+            error: (msg, fields) => calls.push([ msg, fields ])
+        };
+
+        Logger.create({ logger: target }).error('Failed', { route: '3/0/0' });
+
+        assert.deepStrictEqual(calls, [ [ 'Failed', { route: '3/0/0' } ] ]);
+    });
+
+    it('filters console output by level', function() {
+        let log = Logger.create({ logLevel: 'warn' });
+
+        let out = capture(process.stdout, () => log.info('hidden'));
+        let err = capture(process.stderr, () => log.warn('shown', { deviceId: 'dev1', route: '3/0/0' }));
+
+        assert.deepStrictEqual(out, []);
+        assert.deepStrictEqual(err, [ '[ClientService] WARN [dev1] shown route=3/0/0\n' ]);
+
+        assert.strictEqual(capture(process.stderr, () => Logger.create({ logLevel: 'silent' }).error('x')).length, 0);
+        assert.throws(() => Logger.create({ logLevel: 'verbose' }), /Unknown log level/);
+    });
+
+    it('does not use colors when NO_COLOR is set', function() {
+        let log = Logger.create({ logLevel: 'info' });
+        let isTTY = process.stdout.isTTY;
+        let noColor = process.env.NO_COLOR;
+
+        process.stdout.isTTY = true;
+        delete process.env.NO_COLOR;
+        try {
+            let colored = capture(process.stdout, () => log.info('a'));
+            process.env.NO_COLOR = '1';
+            let plain = capture(process.stdout, () => log.info('a'));
+
+            assert.strictEqual(colored[0], '\x1b[34m[ClientService]\x1b[0m a\n');
+            assert.strictEqual(plain[0], '[ClientService] a\n');
+        }
+        finally {
+            process.stdout.isTTY = isTTY;
+            delete process.env.NO_COLOR;
+            if (typeof noColor !== 'undefined') process.env.NO_COLOR = noColor;
+        }
+    });
+
+    it('is passed down from RemoteClientService to devices and RPC calls', async function() {
+        let core = new MockEdgeCore();
+        await core.start();
+
+        let calls = [];
+        let level = l => (fields, msg) => calls.push({ level: l, fields: fields, msg: msg });
+        let target = { debug: level('debug'), info: level('info'), warn: level('warn'), error: level('error') };
+
+        let edge = new RemoteClientService(core.url, 'test-pt', { reconnect: false, logger: target });
+        await edge.init();
+
+        let device = await edge.createCloudDevice('dev1', 'test');
+        await device.register([ { path: '/3303/0/5700', operation: [ 'GET' ], type: 'float', value: 1 } ], false);
+
+        await edge.deinit();
+        await core.stop();
+
+        assert.ok(calls.find(c => c.msg === 'Registered' && c.fields.deviceId === 'dev1'));
+
+        let rpc = calls.find(c => c.msg === 'JSON-RPC call' && c.fields.method === 'device_register');
+        assert.strictEqual(rpc.level, 'debug');
+        assert.strictEqual(rpc.fields.deviceId, 'dev1');
+        assert.strictEqual(typeof rpc.fields.duration, 'number');
+    });
+});
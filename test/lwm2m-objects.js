@@ -0,0 +1,94 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const Objects = require('../lwm2m-objects');
+const { ValidationError } = require('../errors');
+
+describe('lwm2m-objects', function() {
+    it('looks up objects and resources by key, name or id', function() {
+        assert.strictEqual(Objects.getObject('temperature').id, 3303);
+        assert.strictEqual(Objects.getObject('Light Control').id, 3311);
+        assert.strictEqual(Objects.getObject(3304).key, 'humidity');
+        assert.strictEqual(Objects.getObject('9999'), undefined);
+
+        let r = Objects.getResource('temperature', 'sensorValue');
+        assert.strictEqual(r.id, 5700);
+        assert.strictEqual(r.type, 'float');
+        assert.deepStrictEqual(r.operation, [ 'GET' ]);
+        assert.strictEqual(r.units, 'Cel');
+
+        assert.deepStrictEqual(Objects.getResource('lightControl', 5851).range, [ 0, 100 ]);
+        assert.strictEqual(Objects.getResource('device', 'Battery Level').id, 9);
+    });
+
+    it('has unique ids and keys', function() {
+        let ids = Objects.OBJECTS.map(o => o.id);
+        let keys = Objects.OBJECTS.map(o => o.key);
+        assert.strictEqual(new Set(ids).size, ids.length);
+        assert.strictEqual(new Set(keys).size, keys.length);
+
+        for (let o of Objects.OBJECTS) {
+            let resIds = o.resources.map(r => r.id);
+            assert.strictEqual(new Set(resIds).size, resIds.length, o.key);
+        }
+    });
+
+    it('resolves named paths', function() {
+        assert.strictEqual(Objects.resolvePath('temperature/0/sensorValue'), '/3303/0/5700');
+        assert.strictEqual(Objects.resolvePath('/lightControl/2/onOff'), '/3311/2/5850');
+        assert.strictEqual(Objects.resolvePath('3303/1/5700'), '/3303/1/5700');
+        assert.strictEqual(Objects.resolvePath('/26241/0/1'), '/26241/0/1');
+
+        assert.throws(() => Objects.resolvePath('thermometer/0/sensorValue'), /Unknown LwM2M object 'thermometer'/);
+        assert.throws(() => Objects.resolvePath('temperature/0/value'), /Unknown resource 'value'/);
+        assert.throws(() => Objects.resolvePath('temperature/0'), ValidationError);
+    });
+
+    it('fills in path, type and operation for named descriptors', function() {
+        assert.deepStrictEqual(Objects.resolveDescriptor({ object: 'temperature', instance: 1, resource: 'sensorValue', value: 21 }), {
+            path: '/3303/1/5700', type: 'float', operation: [ 'GET' ], value: 21
+        });
+
+        // explicit settings win
+        assert.deepStrictEqual(Objects.resolveDescriptor({ object: 'lightControl', resource: 'dimmer', operation: [ 'GET' ], value: 5 }), {
+            path: '/3311/0/5851', type: 'int', operation: [ 'GET' ], value: 5, min: 0, max: 100
+        });
+
+        let l = { path: '/3303/0/5700', operation: [ 'GET' ], value: 1 };
+        assert.strictEqual(Objects.resolveDescriptor(l), l);
+
+        assert.throws(() => Objects.resolveDescriptor({ object: 3303, resource: 9999, value: 1 }), /No operation/);
+    });
+
+    it('builds the Device object from device info', function() {
+        let lwm2m = Objects.deviceObject({ manufacturer: 'Arm', serialNumber: 'SN-1', batteryLevel: 80 });
+
+        assert.deepStrictEqual(lwm2m.map(l => [ l.path, l.value ]), [
+            [ '/3/0/0', 'Arm' ], [ '/3/0/1', '' ], [ '/3/0/2', 'SN-1' ], [ '/3/0/3', '' ], [ '/3/0/9', 80 ],
+            [ '/3/0/4', undefined ], [ '/3/0/5', undefined ]
+        ]);
+        assert.deepStrictEqual(lwm2m[4], { path: '/3/0/9', type: 'int', operation: [ 'GET' ], value: 80, min: 0, max: 100 });
+        assert.deepStrictEqual(lwm2m[5].operation, [ 'POST' ]);
+
+        assert.deepStrictEqual(Objects.deviceObject({}).map(l => l.path), [ '/3/0/0', '/3/0/1', '/3/0/2', '/3/0/3', '/3/0/4', '/3/0/5' ]);
+        assert.throws(() => Objects.deviceObject({ model: 'X' }), /Unknown device info 'model'/);
+    });
+});
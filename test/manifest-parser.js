@@ -0,0 +1,370 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const { ManifestVerificationError, FirmwareDownloadError } = require('../errors');
+const { parseManifest, parseAndVerifyManifest, downloadFirmware, downloadAndVerifyFirmware } = require('../manifest-parser');
+const Der = require('../der');
+const { once, waitFor } = require('./helpers');
+
+// regenerate with `node test/fixtures/make-manifests.js`
+const FIXTURES = Path.join(__dirname, 'fixtures', 'manifests');
+const fixture = name => fs.readFileSync(Path.join(FIXTURES, name));
+const ids = require('./fixtures/manifests/ids.json');
+
+// vendor and class IDs are usually written as GUIDs
+function guid(id) {
+    return id.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+describe('manifest-parser', function() {
+    function verify(manifest, options, certificate) {
+        return parseAndVerifyManifest(guid(ids.vendorId), guid(ids.classId),
+            fixture(certificate || 'update.der'), fixture(manifest), options);
+    }
+
+    function rejectsWith(promise, reason, message) {
+        return assert.rejects(promise, err => {
+            assert(err instanceof ManifestVerificationError);
+            assert.strictEqual(err.reason, reason);
+            assert(message.test(err.message), err.message);
+            return true;
+        });
+    }
+
+    it('parses and verifies a valid manifest', async function() {
+        let manifest = await verify('valid.manifest');
+
+        let firmware = fixture('firmware.bin');
+        let hash = crypto.createHash('sha256').update(firmware).digest('hex');
+
+        assert.strictEqual(manifest.manifestVersion, 'v1');
+        assert.strictEqual(manifest.timestamp, ids.timestamp);
+        assert.strictEqual(manifest.vendorId, ids.vendorId);
+        assert.strictEqual(manifest.classId, ids.classId);
+        assert.deepStrictEqual(manifest.encryptionMode, { enum: 'none-ecc-secp256r1-sha256' });
+        assert.deepStrictEqual(manifest.payload.format, { enum: 'raw-binary' });
+        assert.deepStrictEqual(manifest.payload.reference, {
+            hash: hash,
+            uri: 'http://127.0.0.1:8123/firmware.bin',
+            size: firmware.length
+        });
+    });
+
+    it('rejects a manifest that was changed after signing', async function() {
+        await rejectsWith(verify('tampered.manifest'), 'hash', /hash mismatch/);
+    });
+
+    it('rejects a manifest with an invalid signature', async function() {
+        await rejectsWith(verify('bad-signature.manifest'), 'signature', /invalid signature/);
+    });
+
+    it('rejects a manifest signed with another certificate', async function() {
+        await rejectsWith(verify('valid.manifest', {}, 'other.der'), 'certificate', /not signed by certificate [0-9a-f]{64}/);
+    });
+
+    it('rejects a manifest for another device class', async function() {
+        await rejectsWith(verify('wrong-class.manifest'), 'class', /class ID mismatch/);
+    });
+
+    it('rejects a manifest for another vendor', async function() {
+        await rejectsWith(parseAndVerifyManifest('00000000-0000-0000-0000-000000000001', guid(ids.classId),
+            fixture('update.der'), fixture('valid.manifest')), 'vendor', /vendor ID mismatch/);
+    });
+
+    it('rejects manifests older than minTimestamp', async function() {
+        await verify('valid.manifest', { minTimestamp: ids.timestamp });
+        await rejectsWith(verify('valid.manifest', { minTimestamp: ids.timestamp + 1 }), 'rollback', /is older than/);
+    });
+
+    it('rejects data that is not a manifest', async function() {
+        let truncated = fixture('valid.manifest').slice(0, 100);
+        await rejectsWith(verify('valid.manifest', {}, 'firmware.bin'), 'certificate', /cannot read certificate/);
+        await rejectsWith(parseAndVerifyManifest(ids.vendorId, ids.classId, fixture('update.der'), truncated),
+            'format', /cannot parse manifest: Invalid DER: length exceeds data/);
+    });
+
+    it('keeps the signed bytes when parsing', function() {
+        let parsed = parseManifest(fixture('valid.manifest'));
+        let root = Der.decode(fixture('valid.manifest'));
+
+        assert(parsed.$resourceDer.equals(root.children[0].raw));
+        assert.strictEqual(parsed.resource.resourceType, 'manifest');
+        assert.strictEqual(parsed.signature.signatures[0].certificates.length, 1);
+    });
+
+    describe('downloadAndVerifyFirmware', function() {
+        let server, requests, dir;
+        let firmware = crypto.randomBytes(100 * 1024);
+
+        // serves `firmware`, supports Range requests (and If-Range with `behavior.etag`).
+        // `behavior` can cut off or change responses.
+        let behavior, ifRange;
+
+        beforeEach(async function() {
+            requests = [];
+            ifRange = [];
+            behavior = {};
+            dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'edge-fw-'));
+
+            server = http.createServer((req, res) => {
+                requests.push(req.headers.range || null);
+                if (req.headers['if-range']) ifRange.push(req.headers['if-range']);
+
+                let body = behavior.body || firmware;
+                let headers = behavior.etag ? { 'ETag': behavior.etag } : {};
+                let offset = 0;
+                let m = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+                let changed = req.headers['if-range'] && req.headers['if-range'] !== behavior.etag;
+                if (m && !behavior.ignoreRange && !changed) {
+                    offset = Number(m[1]);
+                    res.writeHead(206, Object.assign(headers, { 'Content-Length': body.length - offset }));
+                }
+                else {
+                    res.writeHead(200, Object.assign(headers, { 'Content-Length': body.length }));
+                }
+
+                let cutAt = behavior.cutAt && behavior.cutAt.shift();
+                if (cutAt) {
+                    res.write(body.slice(offset, cutAt), () => res.destroy());
+                    return;
+                }
+                res.end(body.slice(offset));
+            });
+            await new Promise(res => server.listen(0, '127.0.0.1', res));
+        });
+
+        afterEach(async function() {
+            await new Promise(res => server.close(res));
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        function manifestFor(data, size) {
+            return {
+                payload: {
+                    reference: {
+                        uri: `http://127.0.0.1:${server.address().port}/firmware.bin`,
+                        hash: crypto.createHash('sha256').update(data).digest('hex'),
+                        size: typeof size === 'number' ? size : data.length
+                    }
+                }
+            };
+        }
+
+        it('downloads into memory and reports progress', async function() {
+            let progress = [];
+            let result = await downloadAndVerifyFirmware(manifestFor(firmware), { onProgress: p => progress.push(p) });
+
+            assert(result.equals(firmware));
+            assert.deepStrictEqual(progress[0], { received: 0, total: firmware.length });
+            assert.deepStrictEqual(progress[progress.length - 1], { received: firmware.length, total: firmware.length });
+            assert(progress.length <= 101);
+        });
+
+        it('streams to a directory and resumes interrupted downloads', async function() {
+            behavior.cutAt = [ 30000, 70000 ];
+
+            let path = await downloadAndVerifyFirmware(manifestFor(firmware), { directory: dir, retryDelay: 10 });
+
+            assert.strictEqual(path, Path.join(dir, manifestFor(firmware).payload.reference.hash + '.bin'));
+            assert(fs.readFileSync(path).equals(firmware));
+            assert.deepStrictEqual(requests, [ null, 'bytes=30000-', 'bytes=70000-' ]);
+            assert.deepStrictEqual(fs.readdirSync(dir), [ Path.basename(path) ]);
+        });
+
+        it('resumes a partial file from an earlier run', async function() {
+            let manifest = manifestFor(firmware);
+            fs.writeFileSync(Path.join(dir, manifest.payload.reference.hash + '.bin.part'), firmware.slice(0, 5000));
+
+            let path = await downloadAndVerifyFirmware(manifest, { directory: dir });
+
+            assert(fs.readFileSync(path).equals(firmware));
+            assert.deepStrictEqual(requests, [ 'bytes=5000-' ]);
+        });
+
+        it('resumes downloads without hash only while the ETag matches', async function() {
+            let uri = `http://127.0.0.1:${server.address().port}/firmware.bin`;
+            let name = crypto.createHash('sha256').update(uri).digest('hex') + '.bin';
+            behavior.etag = '"v2"';
+            behavior.cutAt = [ 30000 ];
+
+            let result = await downloadFirmware(uri, { directory: dir, retryDelay: 10 });
+
+            assert(fs.readFileSync(result.firmware).equals(firmware));
+            assert.deepStrictEqual(requests, [ null, 'bytes=30000-' ]);
+            assert.deepStrictEqual(ifRange, [ '"v2"' ]);
+            assert.deepStrictEqual(fs.readdirSync(dir), [ name ]);
+
+            // the file changed on the server since the earlier run
+            fs.unlinkSync(Path.join(dir, name));
+            fs.writeFileSync(Path.join(dir, name + '.part'), Buffer.alloc(5000));
+            fs.writeFileSync(Path.join(dir, name + '.etag'), '"v1"');
+            requests = [];
+
+            result = await downloadFirmware(uri, { directory: dir, retryDelay: 10 });
+
+            assert(fs.readFileSync(result.firmware).equals(firmware));
+            assert.deepStrictEqual(requests, [ 'bytes=5000-', null ]);
+        });
+
+        it('starts over without hash or ETag', async function() {
+            let uri = `http://127.0.0.1:${server.address().port}/firmware.bin`;
+            let name = crypto.createHash('sha256').update(uri).digest('hex') + '.bin';
+            fs.writeFileSync(Path.join(dir, name + '.part'), Buffer.alloc(5000));
+            behavior.cutAt = [ 30000 ];
+
+            let result = await downloadFirmware(uri, { directory: dir, retryDelay: 10 });
+
+            assert(fs.readFileSync(result.firmware).equals(firmware));
+            assert.deepStrictEqual(requests, [ null, null ]);
+        });
+
+        it('starts over when the server does not support ranges', async function() {
+            behavior.cutAt = [ 30000 ];
+            behavior.ignoreRange = true;
+
+            let path = await downloadAndVerifyFirmware(manifestFor(firmware), { directory: dir, retryDelay: 10 });
+
+            assert(fs.readFileSync(path).equals(firmware));
+            assert.deepStrictEqual(requests, [ null, 'bytes=30000-', null ]);
+        });
+
+        it('gives up after the configured retries and keeps the partial file', async function() {
+            behavior.cutAt = [ 10000, 20000, 30000 ];
+
+            await assert.rejects(downloadAndVerifyFirmware(manifestFor(firmware), { directory: dir, retries: 1, retryDelay: 10 }),
+                err => err instanceof FirmwareDownloadError && /Downloading firmware failed/.test(err.message));
+
+            assert.strictEqual(requests.length, 2);
+            assert.strictEqual(fs.statSync(Path.join(dir, fs.readdirSync(dir)[0])).size, 20000);
+        });
+
+        it('aborts when the firmware is larger than the manifest says', async function() {
+            await assert.rejects(downloadAndVerifyFirmware(manifestFor(firmware, 1000), { directory: dir }),
+                /Firmware is larger than the allowed 1000 bytes/);
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+        });
+
+        it('rejects firmware with the wrong hash', async function() {
+            behavior.body = Buffer.from(firmware).fill(0, 0, 10);
+
+            await assert.rejects(downloadAndVerifyFirmware(manifestFor(firmware), { directory: dir }), /Hash mismatch/);
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+        });
+
+        it('does not retry on client errors', async function() {
+            let manifest = manifestFor(firmware);
+            manifest.payload.reference.uri += '/missing';
+            server.removeAllListeners('request');
+            server.on('request', (req, res) => {
+                requests.push(req.url);
+                res.writeHead(404);
+                res.end();
+            });
+
+            await assert.rejects(downloadAndVerifyFirmware(manifest, { retryDelay: 10 }), err => {
+                assert(/Status code should be 2xx, but was 404/.test(err.message));
+                assert.strictEqual(err.cause.statusCode, 404);
+                return true;
+            });
+            assert.strictEqual(requests.length, 1);
+        });
+    });
+
+    describe('on a device', function() {
+        let core, edge;
+
+        beforeEach(async function() {
+            core = new MockEdgeCore();
+            await core.start();
+
+            edge = new RemoteClientService(core.url, 'test-pt');
+            await edge.init();
+        });
+
+        afterEach(async function() {
+            await edge.deinit();
+            await core.stop();
+        });
+
+        it('sets an error result when the manifest is for another device class', async function() {
+            let device = await edge.createCloudDevice('dev1', 'test');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+            ], true, guid(ids.vendorId), guid(ids.classId), fixture('update.der'));
+
+            await core.execute('dev1', '5/0/0', fixture('wrong-class.manifest'));
+
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 8 /* ARM_UC_MONITOR_RESULT_ERROR_UPDATE */);
+            assert.strictEqual(core.getValue('dev1', '5/0/3'), 0);
+        });
+
+        it('downloads the firmware to a directory and emits progress', async function() {
+            let dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'edge-fw-'));
+
+            // the URI in the fixture manifest
+            let requests = 0;
+            let server = http.createServer((req, res) => {
+                requests++;
+                res.end(fixture('firmware.bin'));
+            });
+            await new Promise(res => server.listen(8123, '127.0.0.1', res));
+
+            // downloads go through the update manager of the service, with its firmware options
+            await edge.deinit();
+            edge = new RemoteClientService(core.url, 'test-pt', { firmware: { directory: dir, deliver: 'stream' } });
+            await edge.init();
+
+            try {
+                let device = await edge.createCloudDevice('dev1', 'test');
+                await device.register([
+                    { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+                ], true, guid(ids.vendorId), guid(ids.classId), fixture('update.der'));
+
+                let progress = [];
+                device.on('fota-progress', p => progress.push(p));
+                let fota = once(device, 'fota');
+
+                await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+
+                let [ stream ] = await fota;
+                let chunks = [];
+                for await (let chunk of stream) chunks.push(chunk);
+
+                assert(Buffer.concat(chunks).equals(fixture('firmware.bin')));
+                assert.strictEqual(Path.dirname(stream.path), dir);
+                assert.strictEqual(requests, 1);
+                assert.deepStrictEqual(progress[progress.length - 1], { received: 31, total: 31 });
+                assert.strictEqual(core.getValue('dev1', '5/0/3'), 2 /* ARM_UC_MONITOR_STATE_DOWNLOADED */);
+            }
+            finally {
+                await new Promise(res => server.close(res));
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
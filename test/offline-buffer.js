@@ -0,0 +1,94 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const OfflineBuffer = require('../offline-buffer');
+
+describe('OfflineBuffer', function() {
+    function drain(buffer) {
+        let entries = [];
+        let entry;
+        while ((entry = buffer.shift())) {
+            entries.push([ entry.route, entry.value ]);
+        }
+        return entries;
+    }
+
+    it('keeps the latest value per route in time order', function() {
+        let buffer = new OfflineBuffer();
+
+        buffer.push('1/0/1', 1);
+        buffer.push('1/0/2', 2);
+        buffer.push('1/0/1', 3);
+
+        assert.deepStrictEqual(drain(buffer), [ [ '1/0/2', 2 ], [ '1/0/1', 3 ] ]);
+        assert.deepStrictEqual(buffer.stats, { buffered: 0, dropped: 0, replaced: 1, flushed: 2 });
+    });
+
+    it('keeps all values in queue mode', function() {
+        let buffer = new OfflineBuffer({ mode: 'queue' });
+
+        buffer.push('1/0/1', 1);
+        buffer.push('1/0/2', 2);
+        buffer.push('1/0/1', 3);
+
+        assert.strictEqual(buffer.peek().value, 1);
+        assert.deepStrictEqual(drain(buffer), [ [ '1/0/1', 1 ], [ '1/0/2', 2 ], [ '1/0/1', 3 ] ]);
+    });
+
+    it('drops the oldest value when full', function() {
+        let buffer = new OfflineBuffer({ mode: 'queue', maxSize: 2 });
+
+        assert.strictEqual(buffer.push('1/0/1', 1), true);
+        buffer.push('1/0/1', 2);
+        assert.strictEqual(buffer.push('1/0/1', 3), true);
+
+        assert.strictEqual(buffer.stats.dropped, 1);
+        assert.deepStrictEqual(drain(buffer), [ [ '1/0/1', 2 ], [ '1/0/1', 3 ] ]);
+    });
+
+    it('drops the newest value when full and configured so', function() {
+        let buffer = new OfflineBuffer({ mode: 'latest', maxSize: 2, overflow: 'drop-newest' });
+
+        buffer.push('1/0/1', 1);
+        buffer.push('1/0/2', 2);
+        assert.strictEqual(buffer.push('1/0/3', 3), false);
+        // replacing a value for a buffered route still works
+        assert.strictEqual(buffer.push('1/0/1', 4), true);
+
+        assert.strictEqual(buffer.stats.dropped, 1);
+        assert.deepStrictEqual(drain(buffer), [ [ '1/0/2', 2 ], [ '1/0/1', 4 ] ]);
+    });
+
+    it('removes values for a route', function() {
+        let buffer = new OfflineBuffer({ mode: 'queue' });
+
+        buffer.push('1/0/1', 1);
+        buffer.push('1/0/2', 2);
+        buffer.remove('1/0/1');
+
+        assert.deepStrictEqual(drain(buffer), [ [ '1/0/2', 2 ] ]);
+    });
+
+    it('validates its options', function() {
+        assert.throws(() => new OfflineBuffer({ mode: 'all' }), /Unknown offline buffer mode/);
+        assert.throws(() => new OfflineBuffer({ overflow: 'keep' }), /Unknown offline buffer overflow policy/);
+    });
+});
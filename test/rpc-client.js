@@ -0,0 +1,334 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const EdgeRpcClient = require('../edge-rpc-client');
+const RPCClient = require('../rpc-client');
+const MockEdgeCore = require('../mock-edge-core');
+const { once, wait, waitFor } = require('./helpers');
+
+describe('RPCClient', function() {
+    let core, edgeRpc, rpc;
+
+    beforeEach(async function() {
+        core = new MockEdgeCore();
+        await core.start();
+
+        edgeRpc = new EdgeRpcClient(core.url, 'test-pt', { reconnect: false });
+        await edgeRpc.init();
+
+        rpc = new RPCClient(edgeRpc, 'dev1');
+        await rpc.open();
+    });
+
+    afterEach(async function() {
+        await rpc.terminate();
+        await edgeRpc.deinit();
+        await core.stop();
+    });
+
+    it('registers the object model', async function() {
+        await rpc.createResourceString('3300/0/5700', 'hello', RPCClient.GET_ALLOWED, true);
+        await rpc.createResourceInt('3300/0/5701', 42);
+        await rpc.createResourceFloat('3300/1/5702', 1.5, RPCClient.GET_PUT_ALLOWED, false);
+        await rpc.createFunction('3311/0/5850');
+
+        let endpoint = await rpc.register();
+
+        assert.strictEqual(endpoint, 'dev1');
+        assert.strictEqual(rpc.is_registered, true);
+
+        let device = core.getDevice('dev1');
+        assert.strictEqual(device.translator, 'test-pt');
+        assert.deepStrictEqual(device.objects.map(o => o.objectId), [ 3300, 3311 ]);
+
+        assert.strictEqual(core.getResource('dev1', '3300/0/5700').operations, RPCClient.GET_ALLOWED);
+        assert.strictEqual(core.getResource('dev1', '3300/0/5701').operations, RPCClient.GET_PUT_ALLOWED);
+        assert.strictEqual(core.getResource('dev1', '3311/0/5850').operations, RPCClient.POST_ALLOWED);
+        assert.strictEqual(core.getResource('dev1', '3311/0/5850').type, 'opaque');
+
+        assert.strictEqual(core.getValue('dev1', '3300/0/5700'), 'hello');
+        assert.strictEqual(core.getValue('dev1', '3300/0/5701'), 42);
+        assert.strictEqual(core.getValue('dev1', '3300/1/5702'), 1.5);
+    });
+
+    it('reads values through the read handler and writes them back', async function() {
+        await rpc.createResourceInt('3300/0/5700', 0);
+        await rpc.createFunction('3311/0/5850');
+        await rpc.register();
+
+        let reads = 0;
+        rpc.setReadHandler('3300/0/5700', async route => {
+            reads++;
+            return 7;
+        }, { ttl: 1000 });
+
+        let read = once(rpc, 'value-read');
+        assert.strictEqual(await rpc.readRoute('3300/0/5700'), 7);
+        assert.deepStrictEqual(await read, [ '3300/0/5700', 7 ]);
+        assert.strictEqual(rpc.routes['3300/0/5700'].value, 7);
+        assert.strictEqual(core.getValue('dev1', '3300/0/5700'), 7);
+
+        // fresh values come from the route table
+        assert.strictEqual(await rpc.readRoute('3300/0/5700'), 7);
+        assert.strictEqual(reads, 1);
+
+        assert.throws(() => rpc.setReadHandler('3311/0/5850', async () => 1), /cannot read value/);
+        await assert.rejects(rpc.readRoute('3300/0/1'), /Unknown route/);
+    });
+
+    it('validates routes and values', async function() {
+        await assert.rejects(rpc.createResourceInt('3300/5700', 1), /route should be of format/);
+        await assert.rejects(rpc.createResourceInt('3300/0/5700'), /value is required/);
+        await assert.rejects(rpc.createFunction('abc'), /route should be of format/);
+    });
+
+    it('supports multi-digit object instance IDs', async function() {
+        let r = await rpc.createResourceInt('3312/29/5850', 1);
+        await rpc.createFunction('3312/120/5523');
+        await rpc.register();
+
+        assert.strictEqual(core.getValue('dev1', '3312/29/5850'), 1);
+
+        await core.write('dev1', '3312/29/5850', 0);
+        assert.strictEqual(r.value, 0);
+    });
+
+    it('writes only the given routes and removes routes', async function() {
+        await rpc.createResourceInt('3312/0/5850', 1);
+        await rpc.register();
+
+        await rpc.createResourceInt('3312/1/5850', 2);
+        await rpc.writeRoutes([ '3312/1/5850' ]);
+
+        let write = core.requests[core.requests.length - 1];
+        assert.strictEqual(write.method, 'write');
+        assert.deepStrictEqual(write.params.objects[0].objectInstances.map(i => i.objectInstanceId), [ 1 ]);
+        assert.strictEqual(core.getValue('dev1', '3312/1/5850'), 2);
+
+        assert.strictEqual(rpc.removeRoute('3312/1/5850'), true);
+        assert.strictEqual(rpc.removeRoute('3312/1/5850'), false);
+        await assert.rejects(rpc.writeRoutes([ '3312/1/5850' ]), /Unknown route/);
+    });
+
+    it('writes new values to Mbed Edge', async function() {
+        let r = await rpc.createResourceInt('3300/0/5700', 1);
+        await rpc.register();
+
+        await r.setValue(7);
+
+        assert.strictEqual(core.getValue('dev1', '3300/0/5700'), 7);
+    });
+
+    it('only writes the resource that changed', async function() {
+        for (let i = 0; i < 20; i++) {
+            await rpc.createResourceInt('3300/' + i + '/5700', i);
+        }
+        await rpc.register();
+
+        await rpc._setValue('3300/7/5700', 70);
+
+        let write = core.requests[core.requests.length - 1];
+        assert.strictEqual(write.method, 'write');
+        assert.strictEqual(write.params.objects.length, 1);
+        assert.deepStrictEqual(write.params.objects[0].objectInstances, [ {
+            objectInstanceId: 7,
+            resources: [ { resourceId: 5700, operations: RPCClient.GET_PUT_ALLOWED, type: 'int', value: 'AAAAAAAAAEY=' } ]
+        } ]);
+        assert.strictEqual(core.getValue('dev1', '3300/7/5700'), 70);
+        assert.strictEqual(core.getValue('dev1', '3300/8/5700'), 8);
+    });
+
+    it('rejects setting unknown routes and functions', async function() {
+        await rpc.createFunction('3311/0/5850');
+        await rpc.register();
+
+        await assert.rejects(rpc._setValue('3311/0/5851', 1), /Unknown route/);
+        await assert.rejects(rpc._setValue('3311/0/5850', 1), /Route type is function/);
+    });
+
+    it('updates values written from Mbed Edge', async function() {
+        let i = await rpc.createResourceInt('3300/0/5700', 1);
+        let f = await rpc.createResourceFloat('3300/0/5701', 1.5);
+        let s = await rpc.createResourceString('3300/0/5702', 'a');
+        await rpc.register();
+
+        await core.write('dev1', '3300/0/5700', 1234);
+        await core.write('dev1', '3300/0/5701', 2.25);
+        await core.write('dev1', '3300/0/5702', 'hello');
+
+        assert.strictEqual(i.value, 1234);
+        assert.strictEqual(f.value, 2.25);
+        assert.strictEqual(s.value, 'hello');
+    });
+
+    it('supports bool, time and opaque resources', async function() {
+        let date = new Date('2018-06-01T12:00:00Z');
+
+        let b = await rpc.createResourceBoolean('3342/0/5500', true);
+        let t = await rpc.createResourceTime('3/0/13', date);
+        let o = await rpc.createResourceOpaque('3/0/5', Buffer.from([ 1, 2, 3 ]));
+        await rpc.register();
+
+        assert.strictEqual(core.getResource('dev1', '3342/0/5500').type, 'bool');
+        assert.strictEqual(core.getValue('dev1', '3342/0/5500'), true);
+        assert.strictEqual(core.getValue('dev1', '3/0/13').getTime(), date.getTime());
+        assert.deepStrictEqual(core.getValue('dev1', '3/0/5'), Buffer.from([ 1, 2, 3 ]));
+
+        await core.write('dev1', '3342/0/5500', false);
+        await core.write('dev1', '3/0/5', Buffer.from([ 9 ]));
+
+        assert.strictEqual(b.value, false);
+        assert.deepStrictEqual(o.value, Buffer.from([ 9 ]));
+    });
+
+    it('does not overflow ints above 2^31', async function() {
+        let r = await rpc.createResourceInt('3300/0/5700', 1);
+        await rpc.register();
+
+        await r.setValue(5000000000);
+        assert.strictEqual(core.getValue('dev1', '3300/0/5700'), 5000000000);
+
+        await core.write('dev1', '3300/0/5700', -5000000000);
+        assert.strictEqual(r.value, -5000000000);
+    });
+
+    it('calls the function callback on execute', async function() {
+        let executed = new Promise(res => rpc.createFunction('3311/0/5850', res));
+        await rpc.register();
+
+        await core.execute('dev1', '3311/0/5850', Buffer.from('args'));
+
+        assert.strictEqual((await executed).toString(), 'args');
+    });
+
+    it('unregisters from Mbed Edge', async function() {
+        await rpc.createResourceInt('3300/0/5700', 1);
+        await rpc.register();
+
+        await rpc.unregister();
+
+        assert.strictEqual(rpc.is_registered, false);
+        assert.strictEqual(core.getDevice('dev1'), null);
+    });
+
+    describe('notification attributes', function() {
+        function writes() {
+            return core.requests.filter(r => r.method === 'write').length;
+        }
+
+        it('sends at most one value per minimum period, the latest one last', async function() {
+            let r = await rpc.createResourceFloat('3303/0/5700', 20, RPCClient.GET_ALLOWED, true);
+            await rpc.register();
+            rpc.setAttributes('3303/0/5700', { pmin: 0.1 });
+
+            assert.strictEqual(await r.setValue(21), 'throttled');
+            assert.strictEqual(await r.setValue(22), 'throttled');
+            assert.strictEqual(await r.setValue(23), 'throttled');
+            assert.strictEqual(writes(), 0);
+
+            await waitFor(() => core.getValue('dev1', '3303/0/5700') === 23);
+            assert.strictEqual(writes(), 1);
+
+            // the period starts again after every value that was sent
+            assert.strictEqual(await r.setValue(24), 'throttled');
+            await waitFor(() => core.getValue('dev1', '3303/0/5700') === 24);
+            assert.strictEqual(writes(), 2);
+
+            await wait(150);
+            assert.notStrictEqual(await r.setValue(25), 'throttled');
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 25);
+        });
+
+        it('only sends values that pass the step, gt or lt thresholds', async function() {
+            let r = await rpc.createResourceFloat('3303/0/5700', 20, RPCClient.GET_ALLOWED, true);
+            await rpc.register();
+
+            rpc.setAttributes('3303/0/5700', { step: 1 });
+            assert.strictEqual(await r.setValue(20.5), 'throttled');
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 20);
+            await r.setValue(21);
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 21);
+
+            rpc.setAttributes('3303/0/5700', { step: null, gt: 30, lt: 10 });
+            assert.strictEqual(await r.setValue(29), 'throttled');
+            await r.setValue(31);
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 31);
+            assert.strictEqual(await r.setValue(35), 'throttled');
+            await r.setValue(9);
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 9);
+
+            // strings are always sent
+            let s = await rpc.createResourceString('3341/0/5527', 'a', RPCClient.GET_ALLOWED, true);
+            rpc.setAttributes('3341/0/5527', { pmax: 60 });
+            await s.setValue('b');
+            assert.strictEqual(core.getValue('dev1', '3341/0/5527'), 'b');
+        });
+
+        it('sends the value again after the maximum period', async function() {
+            await rpc.createResourceInt('3303/0/5700', 20, RPCClient.GET_ALLOWED, true);
+            await rpc.register();
+            rpc.setAttributes('3303/0/5700', { pmax: 0.05 });
+
+            await waitFor(() => writes() >= 2);
+            assert.strictEqual(core.getValue('dev1', '3303/0/5700'), 20);
+
+            rpc.setAttributes('3303/0/5700', null);
+            await wait(20);
+            let count = writes();
+            await wait(100);
+            assert.strictEqual(writes(), count);
+        });
+
+        it('sets attributes from Write-Attributes queries', async function() {
+            await rpc.createResourceFloat('3303/0/5700', 20, RPCClient.GET_ALLOWED, true);
+            await rpc.createResourceString('3341/0/5527', 'a', RPCClient.GET_ALLOWED, true);
+            await rpc.createResourceInt('3311/0/5851', 1, RPCClient.GET_PUT_ALLOWED, false);
+
+            let updated = once(rpc, 'attributes-updated');
+            assert.deepStrictEqual(rpc.writeAttributes('/3303/0/5700?pmin=10&pmax=60&st=0.5'), { pmin: 10, pmax: 60, step: 0.5 });
+            assert.deepStrictEqual(await updated, [ '3303/0/5700', { pmin: 10, pmax: 60, step: 0.5 } ]);
+
+            assert.deepStrictEqual(rpc.writeAttributes('3303/0/5700?pmin&gt=30'), { pmax: 60, step: 0.5, gt: 30 });
+            assert.deepStrictEqual(rpc.getAttributes('3303/0/5700'), { pmax: 60, step: 0.5, gt: 30 });
+
+            assert.throws(() => rpc.writeAttributes('pmin=10'), /should be of format/);
+            assert.throws(() => rpc.writeAttributes('3303/0/5700?pmin=soon'), /'pmin' should be a number/);
+            assert.throws(() => rpc.writeAttributes('3303/0/5700?foo=1'), /Unknown attribute 'foo'/);
+            assert.throws(() => rpc.writeAttributes('3303/0/5700?pmin=120'), /should not be less than 'pmin'/);
+            assert.throws(() => rpc.writeAttributes('3303/0/5700?lt=40'), /'lt' \(40\) should be less than 'gt'/);
+            assert.throws(() => rpc.writeAttributes('3341/0/5527?st=1'), /only for numeric routes/);
+            assert.throws(() => rpc.writeAttributes('3311/0/5851?pmin=1'), /is not observable/);
+            assert.deepStrictEqual(rpc.getAttributes('3303/0/5700'), { pmax: 60, step: 0.5, gt: 30 });
+        });
+    });
+
+    it('rejects writes when the channel is closed', async function() {
+        let r = await rpc.createResourceInt('3300/0/5700', 1);
+        await rpc.register();
+
+        let closed = once(edgeRpc.client.socket, 'close');
+        core.disconnectAll();
+        await closed;
+        await waitFor(() => !edgeRpc.is_open());
+
+        await assert.rejects(r.setValue(2), /RPC Channel is closed/);
+    });
+});
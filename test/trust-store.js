@@ -0,0 +1,168 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const MockEdgeCore = require('../mock-edge-core');
+const TrustStore = require('../trust-store');
+const { MemoryStore } = require('../device-store');
+const { ValidationError, ManifestVerificationError } = require('../errors');
+const { fingerprint } = require('../manifest-parser');
+const { waitFor } = require('./helpers');
+
+const FIXTURES = Path.join(__dirname, 'fixtures', 'manifests');
+const fixture = name => fs.readFileSync(Path.join(FIXTURES, name));
+const ids = require('./fixtures/manifests/ids.json');
+
+describe('TrustStore', function() {
+    let store;
+
+    beforeEach(function() {
+        store = new TrustStore();
+    });
+
+    it('verifies manifests against all certificates of the vendor and class', async function() {
+        let events = [];
+        store.on('verification', e => events.push(e));
+
+        let old = store.add(ids.vendorId, ids.classId, fixture('other.der'));
+        let current = store.add(ids.vendorId, ids.classId, fixture('update.der'));
+
+        assert.strictEqual(current, fingerprint(fixture('update.der')));
+        assert.deepStrictEqual(store.list(ids.vendorId, ids.classId).map(c => c.fingerprint), [ old, current ]);
+        assert.strictEqual(store.list(ids.vendorId, ids.classId)[1].subject, 'CN=update');
+
+        let result = await store.verify(ids.vendorId, ids.classId, fixture('valid.manifest'), { deviceId: 'dev1' });
+
+        assert.strictEqual(result.certificate, current);
+        assert.strictEqual(result.manifest.timestamp, ids.timestamp);
+        assert.deepStrictEqual(events, [
+            { vendorId: ids.vendorId, classId: ids.classId, deviceId: 'dev1', certificate: current, error: null }
+        ]);
+    });
+
+    it('rejects manifests when no certificate of the vendor and class matches', async function() {
+        let events = [];
+        store.on('verification', e => events.push(e));
+
+        await assert.rejects(store.verify(ids.vendorId, ids.classId, fixture('valid.manifest')),
+            err => err instanceof ManifestVerificationError && err.reason === 'certificate');
+
+        // certificates are per vendor / class
+        store.add(ids.vendorId, '00000000-0000-0000-0000-000000000001', fixture('update.der'));
+        store.add(ids.vendorId, ids.classId, fixture('other.der'));
+
+        await assert.rejects(store.verify(ids.vendorId, ids.classId, fixture('valid.manifest')),
+            /not signed by certificate/);
+
+        assert.strictEqual(events.length, 2);
+        assert(events.every(e => e.certificate === null && e.error instanceof ManifestVerificationError));
+    });
+
+    it('revokes certificates', async function() {
+        let f = store.add(ids.vendorId, ids.classId, fixture('update.der'));
+        await store.verify(ids.vendorId, ids.classId, fixture('valid.manifest'));
+
+        assert.strictEqual(store.revoke(f.toUpperCase()), true);
+        assert.strictEqual(store.revoke(fixture('update.der')), false);
+        assert.strictEqual(store.isRevoked(fixture('update.der')), true);
+        assert.deepStrictEqual(store.list(ids.vendorId, ids.classId), []);
+
+        await assert.rejects(store.verify(ids.vendorId, ids.classId, fixture('valid.manifest')),
+            /no trusted certificates/);
+        assert.throws(() => store.add(ids.vendorId, ids.classId, fixture('update.der')),
+            err => err instanceof ValidationError && /was revoked/.test(err.message));
+    });
+
+    it('rejects invalid certificates', function() {
+        assert.throws(() => store.add(ids.vendorId, ids.classId, Buffer.from('not a certificate')),
+            err => err instanceof ValidationError && /Cannot read certificate/.test(err.message));
+    });
+
+    describe('on a RemoteClientService', function() {
+        let core, edge, deviceStore;
+
+        beforeEach(async function() {
+            core = new MockEdgeCore();
+            await core.start();
+
+            deviceStore = new MemoryStore();
+            edge = new RemoteClientService(core.url, 'test-pt', { store: deviceStore });
+            await edge.init();
+        });
+
+        afterEach(async function() {
+            await edge.deinit();
+            await core.stop();
+        });
+
+        async function createDevice(id, certificate) {
+            let device = await edge.createCloudDevice(id, 'test');
+            await device.register([
+                { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+            ], true, ids.vendorId, ids.classId, fixture(certificate));
+            return device;
+        }
+
+        it('shares certificates between devices and picks up new ones at runtime', async function() {
+            let device = await createDevice('dev1', 'other.der');
+
+            await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+            await waitFor(() => core.getValue('dev1', '5/0/5') === 8 /* ARM_UC_MONITOR_RESULT_ERROR_UPDATE */);
+
+            // rotate to the new key without registering again
+            edge.trustStore.add(ids.vendorId, ids.classId, fixture('update.der'));
+            edge.trustStore.revoke(fixture('other.der'));
+
+            await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+            await waitFor(() => device.manifestCertificate);
+            assert.strictEqual(device.manifestCertificate, fingerprint(fixture('update.der')));
+
+            // devices that register with the revoked certificate don't bring it back
+            await createDevice('dev2', 'other.der');
+            assert.deepStrictEqual(edge.trustStore.list(ids.vendorId, ids.classId).map(c => c.fingerprint),
+                [ fingerprint(fixture('update.der')) ]);
+        });
+
+        it('does not trust revoked certificates again after a restart', async function() {
+            await createDevice('dev1', 'other.der');
+            await createDevice('dev2', 'update.der');
+            // saved by an earlier run, but not restored yet
+            deviceStore.records.dev3 = Object.assign({}, deviceStore.records.dev1, { id: 'dev3' });
+
+            edge.trustStore.revoke(fixture('other.der'));
+            await waitFor(() => !deviceStore.records.dev1.updateCertificate && !deviceStore.records.dev3.updateCertificate);
+            assert(deviceStore.records.dev2.updateCertificate);
+
+            await edge.deinit();
+            edge = new RemoteClientService(core.url, 'test-pt', { store: deviceStore });
+            await edge.init();
+            await waitFor(() => !core.getDevice('dev1'));
+
+            let restored = await edge.restoreDevices();
+
+            assert.deepStrictEqual(restored.map(d => d.id), [ 'dev1', 'dev2', 'dev3' ]);
+            assert.deepStrictEqual(edge.trustStore.list(ids.vendorId, ids.classId).map(c => c.fingerprint),
+                [ fingerprint(fixture('update.der')) ]);
+        });
+    });
+});
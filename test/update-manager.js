@@ -0,0 +1,246 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const Path = require('path');
+const RemoteClientService = require('../edge-lib');
+const UpdateManager = require('../update-manager');
+const MockEdgeCore = require('../mock-edge-core');
+const { once, wait, waitFor } = require('./helpers');
+
+const FIXTURES = Path.join(__dirname, 'fixtures', 'manifests');
+const fixture = name => fs.readFileSync(Path.join(FIXTURES, name));
+const ids = require('./fixtures/manifests/ids.json');
+
+describe('UpdateManager', function() {
+    let core, edge, server, requests, dir, status;
+
+    beforeEach(async function() {
+        requests = 0;
+        status = 200;
+        dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'edge-updates-'));
+
+        // serves the firmware that the fixture manifests point to
+        server = http.createServer((req, res) => {
+            requests++;
+            res.writeHead(status);
+            res.end(status === 200 ? fixture('firmware.bin') : undefined);
+        });
+        await new Promise(res => server.listen(8123, '127.0.0.1', res));
+
+        core = new MockEdgeCore();
+        await core.start();
+    });
+
+    afterEach(async function() {
+        await edge.deinit();
+        await core.stop();
+        await new Promise(res => server.close(res));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function createService(firmware) {
+        edge = new RemoteClientService(core.url, 'test-pt', {
+            firmware: Object.assign({ directory: dir }, firmware)
+        });
+        await edge.init();
+    }
+
+    async function createDevice(id) {
+        let device = await edge.createCloudDevice(id, 'test');
+        await device.register([
+            { path: '/3303/0/5700', operation: [ 'GET' ], value: 21.5 }
+        ], true, ids.vendorId, ids.classId, fixture('update.der'));
+        return device;
+    }
+
+    function states() {
+        let s = edge.getUpdateStates();
+        Object.keys(s).forEach(id => s[id] = s[id].state);
+        return s;
+    }
+
+    it('downloads an image once for all devices and caches it while they need it', async function() {
+        await createService();
+        let devices = await Promise.all([ 'dev1', 'dev2', 'dev3' ].map(createDevice));
+
+        let fotas = devices.map(d => once(d, 'fota'));
+        for (let d of devices) {
+            await core.execute(d.id, '5/0/0', fixture('valid.manifest'));
+        }
+        let paths = (await Promise.all(fotas)).map(args => args[0]);
+
+        assert.strictEqual(requests, 1);
+        assert(paths.every(p => p === paths[0]));
+        assert(fs.readFileSync(paths[0]).equals(fixture('firmware.bin')));
+        assert.deepStrictEqual(states(), { dev1: 'applying', dev2: 'applying', dev3: 'applying' });
+
+        await devices[0].setFotaComplete();
+        await devices[1].setFotaError(new Error('Flash failed'));
+        assert.deepStrictEqual(edge.getUpdateState('dev2').error, 'Flash failed');
+        assert.deepStrictEqual(states(), { dev1: 'success', dev2: 'failed', dev3: 'applying' });
+
+        // a later update with the same image comes from the cache
+        let dev4 = await createDevice('dev4');
+        let fota = once(dev4, 'fota');
+        await core.execute('dev4', '5/0/0', fixture('valid.manifest'));
+        await fota;
+        assert.strictEqual(requests, 1);
+
+        // until no device needs it anymore
+        await devices[2].setFotaComplete();
+        assert(fs.existsSync(paths[0]));
+        await dev4.setFotaError(new Error('Flash failed'));
+        await waitFor(() => !fs.existsSync(paths[0]));
+
+        fota = once(dev4, 'fota');
+        await core.execute('dev4', '5/0/0', fixture('valid.manifest'));
+        await fota;
+        assert.strictEqual(requests, 2);
+    });
+
+    it('downloads the image again when the cached file was changed', async function() {
+        await createService();
+        let device = await createDevice('dev1');
+
+        let image = fixture('firmware.bin');
+        let path = Path.join(dir, crypto.createHash('sha256').update(image).digest('hex') + '.bin');
+        fs.writeFileSync(path, Buffer.alloc(image.length, 'A'));
+
+        let fota = once(device, 'fota');
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        let [ delivered ] = await fota;
+
+        assert.strictEqual(requests, 1);
+        assert.strictEqual(delivered, path);
+        assert(fs.readFileSync(path).equals(image));
+    });
+
+    it('caches images in a private directory when none is configured', async function() {
+        edge = new RemoteClientService(core.url, 'test-pt');
+        await edge.init();
+        let device = await createDevice('dev1');
+
+        let fota = once(device, 'fota');
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        await fota;
+
+        let directory = edge.updates.directory;
+        assert.strictEqual(Path.dirname(directory), os.tmpdir());
+        assert.strictEqual(fs.statSync(directory).mode & 0o777, 0o700);
+
+        await edge.updates.close();
+        assert(!fs.existsSync(directory));
+        assert.strictEqual(new UpdateManager().directory, null);
+    });
+
+    it('limits the number of devices that update at the same time', async function() {
+        await createService({ concurrency: 1 });
+        let dev1 = await createDevice('dev1');
+        let dev2 = await createDevice('dev2');
+
+        let events = [];
+        edge.on('update-state', (id, s) => events.push(id + ':' + s.state));
+
+        let fota1 = once(dev1, 'fota');
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        await fota1;
+
+        let fota2 = once(dev2, 'fota');
+        await core.execute('dev2', '5/0/0', fixture('valid.manifest'));
+        await waitFor(() => edge.getUpdateState('dev2'));
+        await wait(20);
+        assert.deepStrictEqual(states(), { dev1: 'applying', dev2: 'queued' });
+
+        await dev1.setFotaComplete();
+        await fota2;
+
+        assert.deepStrictEqual(events, [
+            'dev1:queued', 'dev1:downloading', 'dev1:applying',
+            'dev2:queued', 'dev1:success', 'dev2:downloading', 'dev2:applying'
+        ]);
+    });
+
+    it('reports failed downloads and frees the slot', async function() {
+        await createService({ concurrency: 1 });
+        status = 404;
+        let dev1 = await createDevice('dev1');
+
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        await waitFor(() => states().dev1 === 'failed');
+        assert(/Status code should be 2xx, but was 404/.test(edge.getUpdateState('dev1').error));
+
+        status = 200;
+        let fota = once(dev1, 'fota');
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        await fota;
+        assert.strictEqual(states().dev1, 'applying');
+    });
+
+    it('marks devices as failed when the manifest is rejected', async function() {
+        await createService();
+        await createDevice('dev1');
+
+        await core.execute('dev1', '5/0/0', fixture('wrong-class.manifest'));
+        await waitFor(() => edge.getUpdateState('dev1'));
+
+        assert.strictEqual(states().dev1, 'failed');
+        assert(/class ID mismatch/.test(edge.getUpdateState('dev1').error));
+        assert.strictEqual(requests, 0);
+    });
+
+    it('downloads Package URIs per device and removes them when the update is done', async function() {
+        await createService();
+        let devices = await Promise.all([ 'dev1', 'dev2', 'dev3' ].map(createDevice));
+        let url = 'http://127.0.0.1:8123/firmware.bin';
+
+        await Promise.all(devices.map(d => core.write(d.id, '5/0/1', url)));
+        await waitFor(() => devices.every(d => core.getValue(d.id, '5/0/3') === 2 /* downloaded */));
+
+        let paths = devices.map(d => d.$package.firmware);
+        assert.strictEqual(requests, 3);
+        assert.strictEqual(new Set(paths).size, 3);
+        assert(paths.every(p => fs.readFileSync(p).equals(fixture('firmware.bin'))));
+
+        await devices[0].setFotaComplete();
+        await devices[1].setFotaError(new Error('Flash failed'));
+        await edge.deleteDevice('dev3');
+
+        await waitFor(() => paths.every(p => !fs.existsSync(p)));
+        assert.deepStrictEqual(fs.readdirSync(Path.join(dir, 'uri')), []);
+    });
+
+    it('forgets deleted devices', async function() {
+        await createService();
+        let dev1 = await createDevice('dev1');
+
+        let fota = once(dev1, 'fota');
+        await core.execute('dev1', '5/0/0', fixture('valid.manifest'));
+        await fota;
+
+        await edge.deleteDevice('dev1');
+        assert.strictEqual(edge.getUpdateState('dev1'), null);
+        assert.deepStrictEqual(edge.getUpdateStates(), {});
+    });
+});
@@ -0,0 +1,92 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const assert = require('assert');
+const codec = require('../value-codec');
+
+describe('value-codec', function() {
+    function roundTrip(type, value) {
+        return codec.decode(type, codec.encode(type, value));
+    }
+
+    it('round-trips strings', function() {
+        assert.strictEqual(roundTrip('string', 'hello wörld'), 'hello wörld');
+        assert.strictEqual(roundTrip('string', ''), '');
+        assert.strictEqual(roundTrip('string', 123), '123');
+    });
+
+    it('round-trips ints as 64-bit', function() {
+        assert.strictEqual(codec.encode('int', 1).length, 8);
+
+        for (let v of [ 0, 1, -1, 2147483647, 2147483648, -2147483649, 1e12, Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER ]) {
+            assert.strictEqual(roundTrip('int', v), v);
+        }
+        assert.deepStrictEqual(codec.encode('int', -2), Buffer.from([ 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe ]));
+    });
+
+    it('decodes shorter ints', function() {
+        assert.strictEqual(codec.decode('int', Buffer.from([ 0xff ])), -1);
+        assert.strictEqual(codec.decode('int', Buffer.from([ 0x01, 0x00 ])), 256);
+        assert.strictEqual(codec.decode('int', Buffer.from([ 0x00, 0x01, 0x00, 0x00 ])), 65536);
+        assert.throws(() => codec.decode('int', Buffer.from([ 1, 2, 3 ])), /Invalid length/);
+    });
+
+    it('round-trips floats as 64-bit doubles', function() {
+        assert.strictEqual(codec.encode('float', 1.5).length, 8);
+
+        for (let v of [ 0, 1.5, -20.25, 0.1, 1e300, -Number.MIN_VALUE ]) {
+            assert.strictEqual(roundTrip('float', v), v);
+        }
+
+        let f32 = Buffer.alloc(4);
+        f32.writeFloatBE(2.5, 0);
+        assert.strictEqual(codec.decode('float', f32), 2.5);
+    });
+
+    it('round-trips booleans', function() {
+        assert.deepStrictEqual(codec.encode('bool', true), Buffer.from([ 1 ]));
+        assert.deepStrictEqual(codec.encode('bool', false), Buffer.from([ 0 ]));
+        assert.strictEqual(roundTrip('bool', true), true);
+        assert.strictEqual(roundTrip('bool', false), false);
+        assert.strictEqual(roundTrip('bool', 'false'), false);
+        assert.strictEqual(roundTrip('bool', 1), true);
+    });
+
+    it('round-trips time as seconds since the epoch', function() {
+        let date = new Date('2018-06-01T12:00:00Z');
+
+        assert.deepStrictEqual(codec.encode('time', date), codec.encode('int', date.getTime() / 1000));
+        assert.strictEqual(roundTrip('time', date).getTime(), date.getTime());
+        assert.strictEqual(roundTrip('time', 1527854400).getTime(), 1527854400000);
+    });
+
+    it('passes opaque buffers through', function() {
+        let buffer = Buffer.from([ 0, 1, 2, 255 ]);
+
+        assert.strictEqual(codec.encode('opaque', buffer), buffer);
+        assert.deepStrictEqual(roundTrip('opaque', buffer), buffer);
+        assert.deepStrictEqual(codec.encode('opaque', 'ab'), Buffer.from('ab'));
+    });
+
+    it('throws on unknown types', function() {
+        assert.throws(() => codec.encode('objlink', 1), /Unknown resource type/);
+        assert.throws(() => codec.decode('objlink', Buffer.alloc(0)), /Unknown resource type/);
+    });
+});
@@ -0,0 +1,190 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const manifestParser = require('./manifest-parser');
+const Logger = require('./logger');
+const { ValidationError, ManifestVerificationError, causeMessage } = require('./errors');
+
+/**
+ * Update certificates that manifests are verified against, per vendor ID and class ID.
+ * A vendor / class can have several certificates, so signing keys can be rotated: add the
+ * new certificate, and revoke the old one when all manifests are signed with the new key.
+ * Revoked certificates cannot be added again.
+ *
+ * @param {object} options Optional settings, `logger` and `logLevel` (see logger.js)
+ *
+ * Emits 'verification' ({ vendorId, classId, deviceId, certificate, error }) for every
+ * verified (or rejected) manifest, certificate is the fingerprint of the certificate that matched.
+ * Emits 'revoked' (fingerprint) when a certificate is revoked.
+ */
+function TrustStore(options) {
+    EventEmitter.call(this);
+
+    this.log = Logger.create(options);
+
+    // 'vendorId/classId' => { fingerprint => { certificate, fingerprint, subject, addedAt } }
+    this._certificates = {};
+    // fingerprint => true
+    this._revoked = {};
+}
+
+TrustStore.prototype = Object.create(EventEmitter.prototype);
+
+function key(vendorId, classId) {
+    return manifestParser.normalizeId(vendorId) + '/' + manifestParser.normalizeId(classId);
+}
+
+function readCertificate(certificate) {
+    try {
+        return new crypto.X509Certificate(certificate);
+    }
+    catch (ex) {
+        throw new ValidationError('Cannot read certificate: ' + causeMessage(ex), ex);
+    }
+}
+
+/**
+ * Trust a certificate for a vendor / class
+ * @param {string} vendorId The vendor ID as GUID string
+ * @param {string} classId The device class ID as GUID string
+ * @param {Buffer} certificate DER or PEM certificate
+ * @returns Fingerprint (SHA-256, hex) of the certificate
+ * @throws ValidationError when the certificate cannot be read or was revoked
+ */
+TrustStore.prototype.add = function(vendorId, classId, certificate) {
+    let x509 = readCertificate(certificate);
+    let fingerprint = manifestParser.fingerprint(x509);
+
+    if (this._revoked[fingerprint]) {
+        throw new ValidationError(`Certificate ${fingerprint} was revoked`);
+    }
+
+    let k = key(vendorId, classId);
+    let certificates = this._certificates[k] = this._certificates[k] || {};
+
+    if (!certificates[fingerprint]) {
+        certificates[fingerprint] = {
+            certificate: x509,
+            fingerprint: fingerprint,
+            subject: x509.subject,
+            addedAt: Date.now()
+        };
+        this.log.info('Added update certificate', { vendorId: vendorId, classId: classId, fingerprint: fingerprint });
+    }
+
+    return fingerprint;
+};
+
+/**
+ * Stop trusting a certificate, for all vendors and classes
+ * @param fingerprint Fingerprint of the certificate, or the certificate itself
+ * @returns true if the certificate was in the store
+ */
+TrustStore.prototype.revoke = function(fingerprint) {
+    if (typeof fingerprint !== 'string') {
+        fingerprint = manifestParser.fingerprint(readCertificate(fingerprint));
+    }
+    fingerprint = fingerprint.replace(/:/g, '').toLowerCase();
+
+    this._revoked[fingerprint] = true;
+
+    let found = false;
+    for (let k of Object.keys(this._certificates)) {
+        if (this._certificates[k][fingerprint]) {
+            delete this._certificates[k][fingerprint];
+            found = true;
+        }
+    }
+
+    this.log.info('Revoked update certificate', { fingerprint: fingerprint });
+    this.emit('revoked', fingerprint);
+
+    return found;
+};
+
+TrustStore.prototype.isRevoked = function(certificate) {
+    return !!this._revoked[manifestParser.fingerprint(readCertificate(certificate))];
+};
+
+/**
+ * Fingerprint of a certificate as used by the store
+ * @returns The fingerprint, or null when the certificate cannot be read
+ */
+TrustStore.fingerprint = function(certificate) {
+    try {
+        return manifestParser.fingerprint(readCertificate(certificate));
+    }
+    catch (ex) {
+        return null;
+    }
+};
+
+/**
+ * Certificates that are trusted for a vendor / class
+ * @returns Array of { fingerprint, subject, addedAt }
+ */
+TrustStore.prototype.list = function(vendorId, classId) {
+    let certificates = this._certificates[key(vendorId, classId)] || {};
+
+    return Object.keys(certificates).map(f => ({
+        fingerprint: f,
+        subject: certificates[f].subject,
+        addedAt: certificates[f].addedAt
+    }));
+};
+
+/**
+ * Verify a manifest against the certificates of the vendor / class, see manifestParser.verifyManifest
+ * @param {object} options Passed to verifyManifest, plus `deviceId` to include in the 'verification' event
+ * @returns Promise that holds { manifest, certificate }
+ */
+TrustStore.prototype.verify = async function(vendorId, classId, manifestBuffer, options) {
+    options = options || {};
+
+    let certificates = this._certificates[key(vendorId, classId)] || {};
+    let record = { vendorId: vendorId, classId: classId, deviceId: options.deviceId, certificate: null, error: null };
+
+    try {
+        let fingerprints = Object.keys(certificates);
+        if (fingerprints.length === 0) {
+            let err = new ManifestVerificationError(`Manifest verification failed - no trusted certificates for ${key(vendorId, classId)}`);
+            err.reason = 'certificate';
+            throw err;
+        }
+
+        let result = await manifestParser.verifyManifest(vendorId, classId,
+            fingerprints.map(f => certificates[f].certificate), manifestBuffer, options);
+
+        record.certificate = result.certificate;
+        this.emit('verification', record);
+
+        return result;
+    }
+    catch (ex) {
+        record.error = ex;
+        this.emit('verification', record);
+
+        throw ex;
+    }
+};
+
+module.exports = TrustStore;
@@ -0,0 +1,405 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const Path = require('path');
+const promisify = require('es6-promisify');
+const EventEmitter = require('events');
+const manifestParser = require('./manifest-parser');
+const Logger = require('./logger');
+const { causeMessage } = require('./errors');
+
+const STATES = [ 'queued', 'downloading', 'applying', 'success', 'failed' ];
+
+// devices in these states still need their image
+const HOLDING = [ 'queued', 'downloading', 'applying' ];
+
+/**
+ * Coordinates firmware updates of all devices of a protocol translator. Images are downloaded
+ * once per payload hash (devices that get the same manifest share the download) and cached on
+ * disk until no device is queued for or applying them anymore, and only `concurrency` devices
+ * download or apply an update at the same time.
+ *
+ * A device takes a slot when its download starts, and gives it back when it reports the result
+ * through setFotaComplete() or setFotaError(), or when the download fails.
+ *
+ * @param {object} options Optional settings
+ *   - directory: where images are cached (default: a private directory in the OS temp directory,
+ *     created on the first download and removed by close())
+ *   - concurrency: maximum number of devices that download or apply an update at the same time (default: no limit)
+ *   - maxSize, retries, retryDelay: see manifestParser.downloadFirmware
+ *   - logger, logLevel: see logger.js
+ *
+ * Emits 'update-state' (deviceId, { state, hash, error, updatedAt }) on every change, state
+ * is one of 'queued', 'downloading', 'applying', 'success' or 'failed'.
+ */
+function UpdateManager(options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    // set when the first download needs it, if it's not configured (see _getDirectory)
+    this.directory = options.directory || null;
+    this._directory = null;
+    this._ownDirectory = false;
+    this.concurrency = options.concurrency || Infinity;
+    this.log = Logger.create(options);
+
+    this.downloadOptions = {
+        maxSize: options.maxSize,
+        retries: options.retries,
+        retryDelay: options.retryDelay
+    };
+
+    // deviceId => { state, hash, error, updatedAt }
+    this.states = {};
+
+    // hash (or device and URL) => { promise, listeners } for downloads in progress
+    this._downloads = {};
+    // deviceId => object that identifies the latest update of the device
+    this._runs = {};
+    // deviceId => promise of removing its Package URI downloads
+    this._removals = {};
+    // hash => promise of removing the cached image
+    this._evictions = {};
+    // devices that hold a slot, and resolve functions of devices waiting for one
+    this._active = {};
+    this._queue = [];
+}
+
+UpdateManager.prototype = Object.create(EventEmitter.prototype);
+
+UpdateManager.prototype._setState = function(deviceId, state, extra) {
+    let s = this.states[deviceId] = Object.assign({ state: state, hash: null, error: null }, extra, { updatedAt: Date.now() });
+
+    this.log.debug('Update state changed', { deviceId: deviceId, state: state });
+
+    this.emit('update-state', deviceId, Object.assign({}, s));
+};
+
+UpdateManager.prototype._acquire = function(deviceId) {
+    if (this._active[deviceId]) return Promise.resolve();
+
+    // already waiting for a slot with an older update, both continue when it's there
+    let queued = this._queue.find(q => q.deviceId === deviceId);
+    if (queued) {
+        let previous = queued.resolve;
+        return new Promise(resolve => {
+            queued.resolve = () => {
+                previous();
+                resolve();
+            };
+        });
+    }
+
+    if (Object.keys(this._active).length < this.concurrency) {
+        this._active[deviceId] = true;
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        this._queue.push({ deviceId: deviceId, resolve: resolve });
+    });
+};
+
+UpdateManager.prototype._release = function(deviceId) {
+    // let a waiting update continue, it sees that it's no longer current and stops
+    let waiting = this._queue.findIndex(q => q.deviceId === deviceId);
+    if (waiting > -1) {
+        this._queue.splice(waiting, 1)[0].resolve();
+    }
+
+    if (!this._active[deviceId]) return;
+    delete this._active[deviceId];
+
+    let next = this._queue.shift();
+    if (next) {
+        this._active[next.deviceId] = true;
+        next.resolve();
+    }
+};
+
+/**
+ * Wait for a slot, then run `download`. Keeps the slot when the download succeeds.
+ * @returns Promise that holds the result of `download`, or undefined when a newer
+ *          update for the device started in the meantime
+ */
+UpdateManager.prototype._run = async function(deviceId, hash, download) {
+    let run = this._runs[deviceId] = {};
+    let current = () => this._runs[deviceId] === run;
+
+    this._setState(deviceId, 'queued', { hash: hash });
+    await this._acquire(deviceId);
+    if (!current()) return;
+
+    this._setState(deviceId, 'downloading', { hash: hash });
+
+    let result;
+    try {
+        result = await download();
+    }
+    catch (ex) {
+        if (current()) this.fail(deviceId, ex);
+        throw ex;
+    }
+    if (!current()) return;
+
+    this._setState(deviceId, 'applying', { hash: hash || result.hash });
+    return result;
+};
+
+/**
+ * Get the firmware a verified manifest points to. Served from the cache when it was
+ * downloaded before, shares the download when another device is downloading it.
+ * @param {string} deviceId
+ * @param manifest Manifest as returned by manifestParser.parseAndVerifyManifest
+ * @param {function} onProgress Optional, called with { received, total }
+ * @returns Promise that holds the path of the image, or undefined when superseded
+ */
+UpdateManager.prototype.download = function(deviceId, manifest, onProgress) {
+    let ref = manifest.payload.reference;
+
+    return this._run(deviceId, ref.hash, () => {
+        return this._share(ref.hash, progress => this._fetch(manifest, progress), onProgress);
+    });
+};
+
+/**
+ * Join the download in progress under `key`, or start it with `fetch(onProgress)`
+ */
+UpdateManager.prototype._share = function(key, fetch, onProgress) {
+    let entry = this._downloads[key];
+
+    if (!entry) {
+        entry = this._downloads[key] = { listeners: [] };
+        entry.promise = fetch(progress => {
+            entry.listeners.forEach(fn => fn(progress));
+        });
+
+        let done = () => delete this._downloads[key];
+        entry.promise.then(done, done);
+    }
+
+    if (onProgress) entry.listeners.push(onProgress);
+
+    return entry.promise;
+};
+
+/**
+ * The configured directory, or a new private one in the OS temp directory. A shared,
+ * predictable path would let other users put their own images in the cache.
+ */
+UpdateManager.prototype._getDirectory = function() {
+    if (!this._directory) {
+        this._directory = this.directory ? Promise.resolve(this.directory) :
+            promisify(fs.mkdtemp.bind(fs))(Path.join(os.tmpdir(), 'mbed-edge-js-firmware-')).then(dir => {
+                this._ownDirectory = true;
+                return this.directory = dir;
+            }, ex => {
+                this._directory = null;
+                throw ex;
+            });
+    }
+    return this._directory;
+};
+
+function hashFile(path) {
+    return new Promise((resolve, reject) => {
+        let hash = crypto.createHash('sha256');
+        fs.createReadStream(path)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+UpdateManager.prototype._fetch = async function(manifest, onProgress) {
+    let ref = manifest.payload.reference;
+    let directory = await this._getDirectory();
+    let path = Path.join(directory, ref.hash + '.bin');
+
+    await this._evictions[ref.hash];
+
+    // images are only moved to <hash>.bin after their hash was verified, but the file
+    // could have been changed since
+    try {
+        let stat = await promisify(fs.stat.bind(fs))(path);
+        if (stat.size === ref.size && await hashFile(path) === ref.hash) {
+            this.log.info('Using cached firmware', { hash: ref.hash });
+            onProgress({ received: ref.size, total: ref.size });
+            return path;
+        }
+
+        this.log.warn('Cached firmware does not match the manifest, downloading it again', { hash: ref.hash });
+        await promisify(fs.unlink.bind(fs))(path);
+    }
+    catch (ex) {
+        if (ex.code !== 'ENOENT') throw ex;
+    }
+
+    return manifestParser.downloadAndVerifyFirmware(manifest, Object.assign({}, this.downloadOptions, {
+        directory: directory,
+        logger: this.log,
+        onProgress: onProgress
+    }));
+};
+
+/**
+ * Download firmware from a URL (an update through the LwM2M Package URI). There's no hash
+ * up front, so these downloads are not shared between devices or cached: every device
+ * downloads to its own directory, which is removed when its update completes or fails.
+ * @returns Promise that holds { firmware, size, hash } (see manifestParser.downloadFirmware),
+ *          or undefined when superseded
+ */
+UpdateManager.prototype.downloadUri = function(deviceId, url, onProgress) {
+    return this._run(deviceId, null, () => {
+        // the same URL again joins the download that's still running
+        return this._share(deviceId + ' ' + url, async progress => {
+            await this._getDirectory();
+            await this._removals[deviceId];
+
+            return manifestParser.downloadFirmware(url, Object.assign({}, this.downloadOptions, {
+                directory: this._uriDirectory(deviceId),
+                logger: this.log,
+                onProgress: progress
+            }));
+        }, onProgress);
+    });
+};
+
+UpdateManager.prototype._uriDirectory = function(deviceId) {
+    // device IDs are not necessarily valid file names
+    return Path.join(this.directory, 'uri', crypto.createHash('sha256').update(deviceId).digest('hex'));
+};
+
+UpdateManager.prototype._removeUriDownloads = function(deviceId) {
+    // nothing was downloaded yet
+    if (!this.directory) return;
+
+    let removal = this._removals[deviceId] = Promise.resolve(this._removals[deviceId]).then(() => {
+        return promisify(fs.rm.bind(fs))(this._uriDirectory(deviceId), { recursive: true, force: true });
+    }).catch(err => {
+        this.log.warn('Removing downloaded firmware failed', { deviceId: deviceId, err: err });
+    }).then(() => {
+        if (this._removals[deviceId] === removal) delete this._removals[deviceId];
+    });
+};
+
+/**
+ * Remove a cached image when no device needs it anymore
+ */
+UpdateManager.prototype._evict = function(hash) {
+    if (!hash || !this.directory || this._downloads[hash]) return;
+
+    let ids = Object.keys(this.states);
+    if (ids.some(id => this.states[id].hash === hash && HOLDING.indexOf(this.states[id].state) > -1)) return;
+
+    let path = Path.join(this.directory, hash + '.bin');
+    let eviction = this._evictions[hash] = Promise.resolve(this._evictions[hash]).then(() => {
+        return promisify(fs.unlink.bind(fs))(path);
+    }).then(() => {
+        this.log.debug('Removed cached firmware', { hash: hash });
+    }, err => {
+        if (err.code !== 'ENOENT') this.log.warn('Removing cached firmware failed', { hash: hash, err: err });
+    }).then(() => {
+        if (this._evictions[hash] === eviction) delete this._evictions[hash];
+    });
+};
+
+/**
+ * The device applied its update
+ */
+UpdateManager.prototype.complete = function(deviceId) {
+    delete this._runs[deviceId];
+    this._release(deviceId);
+    this._removeUriDownloads(deviceId);
+
+    let s = this.states[deviceId];
+    this._setState(deviceId, 'success', { hash: s ? s.hash : null });
+    this._evict(s && s.hash);
+};
+
+/**
+ * The update of the device failed (download or apply)
+ */
+UpdateManager.prototype.fail = function(deviceId, error) {
+    delete this._runs[deviceId];
+    this._release(deviceId);
+    this._removeUriDownloads(deviceId);
+
+    let s = this.states[deviceId];
+    this._setState(deviceId, 'failed', {
+        hash: s ? s.hash : null,
+        error: error ? causeMessage(error) : null
+    });
+    this._evict(s && s.hash);
+};
+
+/**
+ * Forget about a device, f.e. when it's deleted. Gives back its slot.
+ */
+UpdateManager.prototype.remove = function(deviceId) {
+    delete this._runs[deviceId];
+    this._release(deviceId);
+    this._removeUriDownloads(deviceId);
+
+    let s = this.states[deviceId];
+    delete this.states[deviceId];
+    this._evict(s && s.hash);
+};
+
+/**
+ * Remove the cache directory if it was created in the OS temp directory
+ */
+UpdateManager.prototype.close = async function() {
+    if (!this._ownDirectory) return;
+
+    let directory = this.directory;
+    this.directory = this._directory = null;
+    this._ownDirectory = false;
+
+    await promisify(fs.rm.bind(fs))(directory, { recursive: true, force: true });
+};
+
+/**
+ * Update state of a device
+ * @returns { state, hash, error, updatedAt }, or null if the device never got an update
+ */
+UpdateManager.prototype.getState = function(deviceId) {
+    let s = this.states[deviceId];
+    return s ? Object.assign({}, s) : null;
+};
+
+/**
+ * Update state of all devices, as object with device IDs as keys
+ */
+UpdateManager.prototype.getStates = function() {
+    let states = {};
+    for (let id of Object.keys(this.states)) {
+        states[id] = this.getState(id);
+    }
+    return states;
+};
+
+UpdateManager.STATES = STATES;
+
+module.exports = UpdateManager;
@@ -0,0 +1,141 @@
+/*
+ * ----------------------------------------------------------------------------
+ * Copyright 2018 ARM Ltd.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Encodes and decodes resource values as used by the Mbed Edge protocol translator API.
+ * All numbers are big-endian:
+ *
+ *   string  UTF-8
+ *   int     64-bit signed integer
+ *   float   64-bit IEEE 754 double
+ *   bool    1 byte, 0 or 1
+ *   time    64-bit signed integer, seconds since the Unix epoch
+ *   opaque  raw bytes
+ *
+ * Mbed Edge can also hand us shorter integers (1, 2 or 4 bytes) and 32-bit floats,
+ * these are decoded as well.
+ */
+
+const i64 = require('node-int64');
+const { ValidationError } = require('./errors');
+
+const TYPES = [ 'string', 'int', 'float', 'bool', 'time', 'opaque' ];
+
+function encodeInt(value) {
+    if (typeof value !== 'number') value = Number(value);
+
+    // node-int64 can't deal with fractions or non-finite numbers
+    if (!isFinite(value)) value = 0;
+
+    return new i64(Math.trunc(value)).toBuffer();
+}
+
+function decodeInt(buffer) {
+    switch (buffer.length) {
+        case 0: return 0;
+        case 1: return buffer.readInt8(0);
+        case 2: return buffer.readInt16BE(0);
+        case 4: return buffer.readInt32BE(0);
+        case 8: return new i64(buffer).toNumber(true); // loses precision above 2^53
+        default:
+            throw new ValidationError(`Invalid length for int value (${buffer.length} bytes)`);
+    }
+}
+
+/**
+ * Encode a value into a buffer
+ * @param {string} type One of 'string', 'int', 'float', 'bool', 'time', 'opaque'
+ * @param value The value, its type should match the resource type
+ *              ('time' takes a Date or a number of seconds since the epoch)
+ * @returns Buffer
+ */
+function encode(type, value) {
+    let buffer;
+
+    switch (type) {
+        case 'string':
+            return Buffer.from(value === undefined || value === null ? '' : value.toString(), 'utf-8');
+
+        case 'int':
+            return encodeInt(value);
+
+        case 'float':
+            if (typeof value !== 'number') value = Number(value);
+
+            buffer = Buffer.alloc(8);
+            buffer.writeDoubleBE(value, 0);
+            return buffer;
+
+        case 'bool':
+            return Buffer.from([ value && value !== '0' && value !== 'false' ? 1 : 0 ]);
+
+        case 'time':
+            if (value instanceof Date) value = Math.floor(value.getTime() / 1000);
+            return encodeInt(value);
+
+        case 'opaque':
+            if (Buffer.isBuffer(value)) return value;
+            if (value === undefined || value === null) return Buffer.alloc(0);
+            return Buffer.from(value);
+
+        default:
+            throw new ValidationError(`Unknown resource type '${type}'`);
+    }
+}
+
+/**
+ * Decode a buffer into a value
+ * @param {string} type One of 'string', 'int', 'float', 'bool', 'time', 'opaque'
+ * @param {Buffer} buffer
+ * @returns The decoded value ('time' is decoded into a Date, 'opaque' into a Buffer)
+ */
+function decode(type, buffer) {
+    switch (type) {
+        case 'string':
+            return buffer.toString('utf-8');
+
+        case 'int':
+            return decodeInt(buffer);
+
+        case 'float':
+            if (buffer.length === 0) return 0;
+            if (buffer.length === 4) return buffer.readFloatBE(0);
+            if (buffer.length === 8) return buffer.readDoubleBE(0);
+            throw new ValidationError(`Invalid length for float value (${buffer.length} bytes)`);
+
+        case 'bool':
+            return buffer.some(b => b !== 0);
+
+        case 'time':
+            return new Date(decodeInt(buffer) * 1000);
+
+        case 'opaque':
+            return buffer;
+
+        default:
+            throw new ValidationError(`Unknown resource type '${type}'`);
+    }
+}
+
+module.exports = {
+    TYPES: TYPES,
+    encode: encode,
+    decode: decode
+};